@@ -1,10 +1,12 @@
 /* background.js — Discogs Preview service worker
  *
- * Discovery: Google search "youtube title + discogs" → grab Discogs URLs
+ * Discovery: web search "youtube title + discogs" → grab Discogs URLs
  * Pricing:   Discogs API for master/release data + marketplace stats
  *
  * This mirrors how a human navigates from YouTube → Discogs:
  * Google the track name, click the first Discogs result.
+ * Discovery providers (Google, DuckDuckGo, Bing, Discogs database search)
+ * are tried in the user's order, falling through when one comes back empty.
  */
 
 var DISCOGS_BASE = "https://api.discogs.com";
@@ -59,6 +61,21 @@ function convertToUSD(amount, currencyCode, rates) {
   return Math.round((amount / rate) * 100) / 100;
 }
 
+/**
+ * The user's display currency (sync "displayCurrency", default USD) and
+ * its rate per US dollar.  Prices stay in USD everywhere else; the popup
+ * and panel multiply by rate when formatting.  Unknown codes fall back
+ * to USD.
+ */
+async function getDisplayCurrency() {
+  var d = await chrome.storage.sync.get("displayCurrency");
+  var code = d.displayCurrency || "USD";
+  if (code === "USD") return { code: "USD", rate: 1 };
+  var rates = await fetchExchangeRates();
+  var rate = rates[code] || FALLBACK_RATES[code];
+  return rate ? { code: code, rate: rate } : { code: "USD", rate: 1 };
+}
+
 // Pre-fetch rates on service worker startup
 fetchExchangeRates();
 
@@ -82,10 +99,17 @@ async function waitForDiscogsRate() {
 
 /* ── Helpers ──────────────────────────────────────────────────── */
 
-function getToken() {
-  return chrome.storage.sync.get("discogsToken").then(function(d) {
-    return d.discogsToken || "";
-  });
+/**
+ * Authorization header for API calls: OAuth when the user signed in with
+ * Discogs, else their pasted personal token, else "" (not set up).
+ */
+async function getAuthHeader() {
+  var d = await chrome.storage.sync.get(["discogsToken", "discogsOAuth"]);
+  if (d.discogsOAuth && d.discogsOAuth.token) {
+    var app = await getOAuthConsumer();
+    if (app) return oauthHeader(oauthParams(app, { oauth_token: d.discogsOAuth.token }), app.secret, d.discogsOAuth.secret);
+  }
+  return d.discogsToken ? "Discogs token=" + d.discogsToken : "";
 }
 
 var GRADE_ABBR = {
@@ -101,8 +125,45 @@ var GRADE_ABBR = {
 
 /* ── String helpers ───────────────────────────────────────────── */
 
+// Latin letters NFKD leaves alone but that have an obvious plain form
+var LATIN_FOLD = { "ø": "o", "æ": "ae", "œ": "oe", "ß": "ss", "ł": "l", "đ": "d", "ð": "d", "þ": "th", "ı": "i" };
+
+/**
+ * Lowercase, fold diacritics ("Café" → "cafe", "Ação" → "acao") and drop
+ * punctuation, keeping letters of every script — Japanese, Cyrillic and
+ * Greek titles survive intact.  CJK punctuation ("〜", "・", "「」")
+ * separates words instead of gluing them together.
+ */
 function normalize(s) {
-  return (s || "").toLowerCase().replace(/[^a-z0-9\s]/g, "").replace(/\s+/g, " ").trim();
+  return (s || "").toLowerCase()
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "").normalize("NFC")
+    .replace(/[øæœßłđðþı]/g, function(c) { return LATIN_FOLD[c]; })
+    .replace(/ς/g, "σ")
+    .replace(/[\u3000-\u303f\u30fb]/g, " ")
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ").trim();
+}
+
+var CJK_RE = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+
+/**
+ * True when two normalized strings share no script — a romanized title
+ * ("mayonaka no door") against a native one ("真夜中のドア").  Such pairs
+ * can't be compared, so they shouldn't count as a mismatch either.
+ */
+function scriptsDiffer(a, b) {
+  var aLatin = /[a-z]/.test(a), aOther = /[^\sa-z0-9]/.test(a);
+  var bLatin = /[a-z]/.test(b), bOther = /[^\sa-z0-9]/.test(b);
+  return (aLatin && !aOther && bOther && !bLatin) || (bLatin && !bOther && aOther && !aLatin);
+}
+
+/**
+ * Discogs joins a title and its translation / transliteration with " = "
+ * ("Mayonaka No Door = 真夜中のドア"); each side is matched on its own.
+ */
+function titleVariants(title) {
+  var parts = String(title || "").split(/\s+=\s+/);
+  return parts.length > 1 ? [title].concat(parts) : [title];
 }
 
 function fuzzyNorm(s) {
@@ -116,17 +177,79 @@ function fuzzyNorm(s) {
 }
 
 function parseArtistTrack(query) {
+  // Japanese uploads quote the track: 松原みき「真夜中のドア〜stay with me」
+  var jp = query.match(/^([^「]+)「([^」]+)」/);
+  if (jp) return splitCredits(jp[1].trim(), jp[2].trim());
   var seps = [" | ", " - ", " \u2013 ", " \u2014 ", ": "];
   for (var i = 0; i < seps.length; i++) {
     var idx = query.indexOf(seps[i]);
     if (idx > 0) {
-      return {
-        artist: query.substring(0, idx).trim(),
-        track: query.substring(idx + seps[i].length).trim()
-      };
+      return splitCredits(query.substring(0, idx).trim(), query.substring(idx + seps[i].length).trim());
     }
   }
-  return { artist: "", track: query };
+  return splitCredits("", query);
+}
+
+/* ── Artist credits (feat., vs., &, x) ───────────────────────── */
+
+var FEAT_RE = /\s+(?:feat\.?|ft\.?|featuring)\s+/i;
+// "(feat. X)" / "[ft. X]" / "(with X)" anywhere in a title
+var FEAT_PAREN_RE = /\s*[\(\[]\s*(?:feat\.?|ft\.?|featuring|with)\s+([^\)\]]+)[\)\]]/i;
+var COLLAB_RE = /\s*(?:&|\+|\s(?:vs\.?|x|\u00d7)\s)\s*/i;
+var COLLAB_COMMA_RE = /\s*(?:,|&|\+|\s(?:vs\.?|x|\u00d7)\s)\s*/i;
+
+/**
+ * Split a credit into names.  A bare comma only separates names in a
+ * featured list or next to another separator ("A, B & C") — on its own
+ * it's part of one name ("Tyler, The Creator").
+ */
+function splitNames(s, commas) {
+  var re = (commas || COLLAB_RE.test(s)) ? COLLAB_COMMA_RE : COLLAB_RE;
+  return s.split(re).map(function(n) { return n.trim(); }).filter(Boolean);
+}
+
+/**
+ * Split the artist half of a title into primary and featured artists:
+ *   "A & B feat. C"  → main "A & B", primary [A, B], featured [C]
+ *   "A vs. B", "A x B", "A, B" split the same way.
+ * main is what Discogs is searched by; primary feeds artistMatchScore.
+ */
+function parseArtistCredits(artist) {
+  var main = String(artist || "");
+  var featured = [];
+  var paren = main.match(FEAT_PAREN_RE);
+  if (paren) {
+    featured = featured.concat(splitNames(paren[1], true));
+    main = main.replace(paren[0], "");
+  }
+  var ft = main.split(FEAT_RE);
+  if (ft.length > 1) {
+    featured = featured.concat(splitNames(ft.slice(1).join(" "), true));
+    main = ft[0];
+  }
+  main = main.trim();
+  return { main: main, primary: main ? splitNames(main) : [], featured: featured };
+}
+
+/**
+ * Finish parseArtistTrack: primary/featured credits from the artist half,
+ * and "Song (feat. X)" / "Song ft. X" moved out of the track half —
+ * Discogs keeps featured artists in the credits, not the track title.
+ */
+function splitCredits(artist, track) {
+  var credits = parseArtistCredits(artist);
+  var featured = credits.featured;
+  var paren = track.match(FEAT_PAREN_RE);
+  if (paren) {
+    featured = featured.concat(splitNames(paren[1], true));
+    track = track.replace(paren[0], " ").replace(/\s+/g, " ").trim();
+  }
+  var ft = track.split(FEAT_RE);
+  if (ft.length > 1 && ft[0].trim()) {
+    featured = featured.concat(splitNames(ft.slice(1).join(" "), true));
+    track = ft[0].trim();
+  }
+  return { artist: credits.main, track: track, artists: credits.primary, featured: featured };
 }
 
 function wordsContain(haystack, needle) {
@@ -146,38 +269,565 @@ function computeMedian(sortedArr) {
   return (sortedArr[n / 2 - 1] + sortedArr[n / 2]) / 2;
 }
 
-function tracklistContains(tracklist, trackName) {
-  if (!tracklist || !tracklist.length || !trackName) return false;
-  var needle = normalize(trackName);
-  var needleFuzzy = fuzzyNorm(trackName);
-  if (!needle || needle.length < 2) return false;
+/* ── Track versions (remix, dub, edit…) ──────────────────────── */
+
+// Kinds of version a title qualifier can name.  "Mix" alone ("Club Mix")
+// counts as a remix unless a more specific kind is present ("Dub Mix").
+var VERSION_KINDS = {
+  dub: /\bdub\b/,
+  instrumental: /\binstrumental\b/,
+  live: /\blive\b/,
+  extended: /\bextended\b/,
+  edit: /\bedit\b/,
+  remix: /\b(?:re ?mix|rmx|rework|remixed)\b/
+};
+
+// "(Original Mix)" names no version — stripped, but nothing to match on
+var ORIGINAL_VERSION = /^original(?: mix| version)?$/;
+
+// Words that describe a version rather than name a remixer
+var VERSION_WORDS = /\b(?:re ?mix|rmx|rework|remixed|mix|dub|edit|extended|instrumental|radio|club|vocal|version|original|long|short|single|album|12|7|inch|by)\b/g;
+
+/** Version described by one qualifier ("Frankie Knuckles Remix"), or null. */
+function parseVersionQualifier(text) {
+  var q = normalize(text);
+  if (ORIGINAL_VERSION.test(q)) return null;
+  var kinds = [];
+  var names = Object.keys(VERSION_KINDS);
+  for (var i = 0; i < names.length; i++) {
+    if (VERSION_KINDS[names[i]].test(q)) kinds.push(names[i]);
+  }
+  if (!kinds.length && /\bmix\b/.test(q)) kinds.push("remix");
+  if (!kinds.length) return null;
+
+  // Whatever's left once the version words are gone is the remixer —
+  // except for live recordings ("Live at Wembley")
+  var remixer = null;
+  if (kinds.indexOf("live") < 0) {
+    remixer = q.replace(VERSION_WORDS, " ").replace(/\s+/g, " ").trim() || null;
+  }
+  return { kinds: kinds, remixer: remixer };
+}
+
+/**
+ * Split a track title into its base and version:
+ *   "Blue Monday (Dub Mix)"            → base "Blue Monday", kinds [dub]
+ *   "Clouds - Frankie Knuckles Remix"  → kinds [remix], remixer "frankie knuckles"
+ * Parentheticals that don't name a version ("feat. X") stay in the base.
+ */
+function parseTrackVersion(title) {
+  var base = String(title || "");
+  var version = null;
+
+  function take(qualifier) {
+    if (ORIGINAL_VERSION.test(normalize(qualifier))) return true;
+    var v = parseVersionQualifier(qualifier);
+    if (!v) return false;
+    if (!version) version = { kinds: [], remixer: null };
+    for (var k = 0; k < v.kinds.length; k++) {
+      if (version.kinds.indexOf(v.kinds[k]) < 0) version.kinds.push(v.kinds[k]);
+    }
+    if (v.remixer && !version.remixer) version.remixer = v.remixer;
+    return true;
+  }
+
+  base = base.replace(/\s*[\(\[]([^\)\]]+)[\)\]]/g, function(all, inner) {
+    return take(inner) ? " " : all;
+  });
+  var dash = base.match(/\s+[-\u2013\u2014]\s+([^-\u2013\u2014]+)$/);
+  if (dash && take(dash[1])) base = base.substring(0, dash.index);
+
+  return { base: base.replace(/\s+/g, " ").trim(), version: version };
+}
+
+/** Remixer credits on a Discogs track ("extraartists" with a Remix role). */
+function trackRemixers(track) {
+  var out = [];
+  var extra = track.extraartists || [];
+  for (var i = 0; i < extra.length; i++) {
+    if (/remix/i.test(extra[i].role || "")) out.push(normalizeArtist(extra[i].name));
+  }
+  return out;
+}
+
+/**
+ * How well a track's version fits the one asked for:
+ * 1 = same version (or both originals), 0.75 = one side is the original
+ * mix, 0.5 = a different version.  A named remixer must match the
+ * title's remixer or one of the track's remix credits.
+ */
+function versionMatchScore(want, have, credits) {
+  if (!want && !have) return 1;
+  if (!want || !have) return 0.75;
+  for (var i = 0; i < want.kinds.length; i++) {
+    if (have.kinds.indexOf(want.kinds[i]) < 0) return 0.5;
+  }
+  if (want.remixer) {
+    var names = (credits || []).slice();
+    if (have.remixer) names.push(have.remixer);
+    for (var n = 0; n < names.length; n++) {
+      if (names[n] && (wordsContain(names[n], want.remixer) || wordsContain(want.remixer, names[n]))) return 1;
+    }
+    return 0.5;
+  }
+  return 1;
+}
+
+/**
+ * Score how well trackName matches the best track on a tracklist.
+ * The base titles score 1 when equal and 0.75 on word overlap ("Blue
+ * Monday" vs "Blue Monday '88"); that is scaled by versionMatchScore, so
+ * a "(Dub Mix)" query scores 1 only on a tracklist carrying the dub.
+ * 0 = not on the tracklist; null = only titles in another script.
+ */
+function trackMatchScore(tracklist, trackName) {
+  if (!tracklist || !tracklist.length || !trackName) return 0;
+  var want = parseTrackVersion(trackName);
+  var needle = normalize(want.base) || normalize(trackName);
+  var needleFuzzy = fuzzyNorm(want.base) || fuzzyNorm(trackName);
+  if (!needle || needle.length < 2) return 0;
   var isShort = needle.length <= 3; // short names: require exact match to avoid false positives
+  var best = 0;
+
+  var crossScript = false, comparable = false;
 
   for (var i = 0; i < tracklist.length; i++) {
     var t = tracklist[i];
     if (t.type_ && t.type_ !== "track") continue;
-    var title = normalize(t.title);
-    if (!title) continue;
-    if (isShort) {
-      // For very short names (2-3 chars like "Ok"), require exact match
-      if (title === needle) return true;
-    } else {
-      // Word-overlap: all words of the shorter string must appear in the longer.
-      // This lets "Blue Monday" match "Blue Monday Remix" but prevents
-      // "Fire" from matching "Firestarter".
-      if (wordsContain(title, needle) || wordsContain(needle, title)) return true;
-      var titleFuzzy = fuzzyNorm(t.title);
-      if (wordsContain(titleFuzzy, needleFuzzy) || wordsContain(needleFuzzy, titleFuzzy)) return true;
+    var credits = trackRemixers(t);
+    var variants = titleVariants(t.title);
+    for (var v = 0; v < variants.length; v++) {
+      var have = parseTrackVersion(variants[v]);
+      var title = normalize(have.base);
+      if (!title) continue;
+      if (scriptsDiffer(needle, title)) { crossScript = true; continue; }
+      comparable = true;
+      var baseScore = 0;
+      if (isShort) {
+        // For very short names (2-3 chars like "Ok"), require exact match
+        if (title === needle) baseScore = 1;
+      } else {
+        var titleFuzzy = fuzzyNorm(have.base);
+        if (title === needle || titleFuzzy === needleFuzzy) baseScore = 1;
+        // Word-overlap: all words of the shorter string must appear in the longer.
+        // This lets "Blue Monday" match "Blue Monday Remix" but prevents
+        // "Fire" from matching "Firestarter".
+        else if (wordsContain(title, needle) || wordsContain(needle, title)) baseScore = 0.75;
+        else if (wordsContain(titleFuzzy, needleFuzzy) || wordsContain(needleFuzzy, titleFuzzy)) baseScore = 0.75;
+        // CJK doesn't space its words: "真夜中のドア" in "真夜中のドアstay with me"
+        else if (CJK_RE.test(needle) && (title.indexOf(needle) >= 0 || needle.indexOf(title) >= 0)) baseScore = 0.75;
+      }
+      if (!baseScore) continue;
+      var score = baseScore * versionMatchScore(want.version, have.version, credits);
+      if (score > best) best = score;
+      if (best === 1) return 1;
     }
   }
-  return false;
+  // Native-script query against a romanized-only tracklist (or the
+  // reverse): unknown rather than a miss
+  if (!best && crossScript && !comparable) return null;
+  return best;
+}
+
+function tracklistContains(tracklist, trackName) {
+  return trackMatchScore(tracklist, trackName) > 0;
+}
+
+/**
+ * Score a master/release against a full-album upload: its title vs the
+ * album title, or — when the title is off — the share of the video's
+ * chapter titles found on its tracklist (at least half must be).
+ */
+function albumMatchScore(entity, album) {
+  var want = fuzzyNorm(album.title);
+  var titleScore = 0;
+  var variants = titleVariants(entity.title);
+  for (var v = 0; v < variants.length && want; v++) {
+    var got = fuzzyNorm(variants[v]);
+    if (!got) continue;
+    if (want === got) titleScore = 1;
+    else if (wordsContain(got, want) || wordsContain(want, got)) titleScore = Math.max(titleScore, 0.75);
+  }
+
+  var overlap = 0;
+  var tracks = album.tracks || [];
+  if (tracks.length) {
+    var found = 0;
+    for (var i = 0; i < tracks.length; i++) {
+      // Chapter titles sometimes repeat the artist: "Artist - Track"
+      var t = parseArtistTrack(tracks[i]).track;
+      if (tracklistContains(entity.tracklist, t)) found++;
+    }
+    overlap = found / tracks.length;
+  }
+  return Math.max(titleScore, overlap >= 0.5 ? overlap : 0);
+}
+
+/* ── Artist verification ─────────────────────────────────────── */
+
+function normalizeArtist(s) {
+  // "The Smiths" ≡ "Smiths", "Prince (2)" ≡ "Prince"
+  return fuzzyNorm((s || "").replace(/\s*\(\d+\)$/, "")).replace(/^the /, "");
+}
+
+// extraartists roles that mean "performs on this record"
+var PERFORMER_ROLES = /featur|vocal|rap|remix|perform|\bvs\b|presents/i;
+
+/**
+ * Collect every name a release/master is credited under: the main
+ * `artists` array (name + ANV) plus per-track artists, which is where
+ * compilations ("Various") credit the real performers.
+ */
+function collectArtistNames(discogsArtists, tracklist, extraartists) {
+  var names = [];
+  function add(list, performersOnly) {
+    if (!list) return;
+    for (var i = 0; i < list.length; i++) {
+      var a = list[i];
+      // extraartists also credit engineers, designers… — performers only
+      if (performersOnly && !PERFORMER_ROLES.test(a.role || "")) continue;
+      if (a.name && !/^various$/i.test(a.name.trim())) names.push(a.name);
+      if (a.anv) names.push(a.anv);
+    }
+  }
+  add(discogsArtists);
+  add(extraartists, true);
+  if (tracklist) {
+    for (var t = 0; t < tracklist.length; t++) {
+      add(tracklist[t].artists);
+      add(tracklist[t].extraartists, true);
+    }
+  }
+  return names;
+}
+
+/**
+ * Score how well the artist parsed from the YouTube title matches the
+ * Discogs credits (artists, plus performer extraartists).  1 = same
+ * name, 0.75 = one name's words all appear in the other ("Daft Punk" vs
+ * "Daft Punk & Friends"), 0 = no overlap.  A collaboration ("A & B",
+ * "A vs. B") also scores 1 when every primary artist is credited, and
+ * 0.75 when only some are — by exact name, as a shared word ("Chase &
+ * Status" vs "Status Quo") says nothing.  Featured artists don't count.
+ * Returns null when there's nothing to compare (no parsed artist, a
+ * name that normalizes to nothing, or credits only in another script)
+ * so callers don't reject on it.
+ */
+function artistMatchScore(artistName, discogsArtists, tracklist, extraartists) {
+  var credits = parseArtistCredits(artistName);
+  var needle = normalizeArtist(credits.main);
+  if (!needle) return null;
+  var names = collectArtistNames(discogsArtists, tracklist, extraartists);
+  if (!names.length) return null;
+  var cands = names.map(normalizeArtist).filter(Boolean);
+  var crossScript = false, comparable = false;
+
+  function score(want) {
+    var best = 0;
+    for (var i = 0; i < cands.length; i++) {
+      var cand = cands[i];
+      // "松原みき" vs "Miki Matsubara" — can't tell, so don't reject
+      if (scriptsDiffer(want, cand)) { crossScript = true; continue; }
+      comparable = true;
+      if (cand === want) return 1;
+      // Short names ("U2", "Yes") need an exact match — word overlap is too loose
+      if (want.length <= 3 || cand.length <= 3) continue;
+      if (wordsContain(cand, want) || wordsContain(want, cand)) best = 0.75;
+    }
+    return best;
+  }
+
+  var best = score(needle);
+  if (best < 1 && credits.primary.length > 1) {
+    var all = true;
+    for (var p = 0; p < credits.primary.length; p++) {
+      var part = normalizeArtist(credits.primary[p]);
+      var s = part ? score(part) : 0;
+      if (s < 1) all = false;
+      else best = Math.max(best, 0.75);
+    }
+    if (all) best = 1;
+  }
+  if (!best && crossScript && !comparable) return null;
+  return best;
+}
+
+/* ── Catalog numbers & labels in titles ──────────────────────── */
+
+// Bracketed tokens that look like catnos but aren't ("[HD 1080]", "(Part 2)",
+// "(MONO 1967)") — checked against the catno prefix and the label's first word
+var CATNO_STOPWORDS = ["PART", "PT", "VOL", "NO", "CD", "DISC", "TRACK", "SIDE", "EP", "LP",
+  "HD", "HQ", "MIX", "REMIX", "VERSION", "EDIT", "FEAT", "FT", "TAKE", "DEMO", "LIVE", "OP",
+  "MONO", "STEREO", "REMASTER", "REMASTERED", "SESSION", "SESSIONS", "TOUR", "RADIO", "ACOUSTIC"];
+
+// "NYC 2019", "MONO 1967" — a year, not a catalog number
+var CATNO_YEAR = /^\D*(?:19|20)\d\d$/;
+
+/** Is this parsed tag (catno, label) a title tag rather than a catalog number? */
+function catnoLooksWrong(catno, label) {
+  if (CATNO_YEAR.test(catno)) return true;
+  if (CATNO_STOPWORDS.indexOf(catno.match(/^[A-Z]+/)[0]) >= 0) return true;
+  return !!label && CATNO_STOPWORDS.indexOf(label.split(/\s+/)[0].toUpperCase()) >= 0;
+}
+
+/**
+ * Recognize a catalog number (and optional label) in a bracketed title
+ * tag — "[WARP 12]", "(SR-1234)", "[Warp Records WAP105]" — or a
+ * bare label tag such as "[Strictly Rhythm Records]".
+ * Returns { catno, label, text } where text is the title with the
+ * recognized tags removed, ready for parseArtistTrack.
+ */
+function parseCatalogHints(title) {
+  var out = { catno: null, label: null, text: title || "" };
+  var tagPattern = /\s*[\[\(]([^\]\)]+)[\]\)]/g;
+  var m;
+  while ((m = tagPattern.exec(title || "")) !== null) {
+    var inner = m[1].trim();
+    var cm = inner.match(/^(?:(.+?)\s*[\u2013\u2014:|,-]?\s+)?([A-Z]{2,10}[ .-]?\d{1,6}[A-Z]{0,3})$/);
+    if (cm && !out.catno && !catnoLooksWrong(cm[2], cm[1])) {
+      out.catno = cm[2];
+      if (cm[1] && !out.label) out.label = cm[1].trim();
+      out.text = out.text.replace(m[0], "");
+    } else if (!out.label && /\b(records|recordings|label)\b/i.test(inner)) {
+      out.label = inner;
+      out.text = out.text.replace(m[0], "");
+    }
+  }
+  out.text = out.text.replace(/\s{2,}/g, " ").trim();
+  return out;
+}
+
+/**
+ * Keep /database/search results whose catno is exactly ours.  With a
+ * parsed artist, results crediting that artist ("Artist - Title") win
+ * when the same catno exists on several labels.
+ */
+function filterCatnoResults(data, catno, artistName) {
+  var want = normalizeCatno(catno);
+  var list = (data && data.results) ? data.results : [];
+  var exact = [];
+  for (var i = 0; i < list.length; i++) {
+    if (list[i].type !== "release") continue;
+    if (normalizeCatno(list[i].catno) === want) exact.push(list[i]);
+  }
+  if (artistName && exact.length > 1) {
+    var byArtist = exact.filter(function(r) {
+      return artistMatchScore(artistName, [{ name: (r.title || "").split(" - ")[0] }]) > 0;
+    });
+    if (byArtist.length) exact = byArtist;
+  }
+  return exact;
+}
+
+/**
+ * Exact pressing lookup by catalog number.  A catno pins one release, so
+ * a verified hit skips web discovery and master-version expansion.
+ * Returns a single-element match list, or [] to fall back to discovery.
+ */
+async function findReleaseByCatno(catno, label, parsed) {
+  var params = { catno: catno, type: "release", format: "Vinyl", per_page: "25" };
+  if (label) params.label = label;
+  if (DEBUG) console.log("[DP] catno search:", JSON.stringify(params));
+
+  var data = await discogsGet("/database/search", params);
+  var hits = filterCatnoResults(data, catno, parsed.artist);
+  // The title's label guess can be off ("Warp Records" vs "Warp") — retry without it
+  if (hits.length === 0 && label) {
+    delete params.label;
+    data = await discogsGet("/database/search", params);
+    hits = filterCatnoResults(data, catno, parsed.artist);
+  }
+  if (hits.length === 0) return [];
+
+  var rel = await discogsGet("/releases/" + hits[0].id);
+  if (!rel || !isVinylFormat(rel.formats)) return [];
+
+  // Wrong catno guesses happen — the track still has to be on it
+  var trackScore = parsed.track ? trackMatchScore(rel.tracklist, parsed.track) : null;
+  var artistScore = artistMatchScore(parsed.artist, rel.artists, rel.tracklist, rel.extraartists);
+  if (trackScore === 0 || artistScore === 0) return [];
+
+  var match = tagMatch(releaseToMatch(rel), { rank: 0, trackScore: trackScore, artistScore: artistScore, fallback: false });
+  match.catnoMatched = catno;
+  return [match];
+}
+
+/* ── Release hints (YouTube description) ─────────────────────── */
+
+function normalizeCatno(s) {
+  return (s || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function normalizeLabel(s) {
+  return normalize((s || "").replace(/\s*\(\d+\)$/, ""))
+    .replace(/\b(records|recordings|music|ltd|inc|llc|gmbh)\b/g, "")
+    .replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Score a match against the structured hints content.js pulled from the
+ * video description (album, label, catalog number).  Returns the share
+ * of available hints the match agrees with (0–1), or null when the
+ * description carried none.
+ */
+function releaseHintScore(match, hints) {
+  if (!hints) return null;
+  var checks = 0, hits = 0;
+
+  if (hints.catno) {
+    checks++;
+    if (match.catno && normalizeCatno(match.catno) === normalizeCatno(hints.catno)) hits++;
+  }
+  if (hints.label) {
+    checks++;
+    var hl = normalizeLabel(hints.label), ml = normalizeLabel(match.label);
+    if (hl && ml && (hl === ml || wordsContain(hl, ml) || wordsContain(ml, hl))) hits++;
+  }
+  if (hints.album) {
+    checks++;
+    var ha = fuzzyNorm(hints.album), mt = fuzzyNorm(match.title);
+    if (ha && mt && (ha === mt || wordsContain(mt, ha))) hits++;
+  }
+  return checks ? hits / checks : null;
+}
+
+/* ── Match confidence ────────────────────────────────────────── */
+
+var LOW_CONFIDENCE = 50;
+
+/**
+ * Combine the verification signals gathered in fetchDiscogsDetails into
+ * a 0–100 score.  Unknown signals (null) count as neutral; a match from
+ * the no-track-filter fallback gets no credit for the track at all.
+ *   track title  40  · artist  35  · search rank  15  · format  10
+ * Agreement with description hints (album/label/catno) closes up to half
+ * of the remaining gap to 100.
+ */
+function computeConfidence(m) {
+  if (m.override) return 100;   // the user picked this release by hand
+  var track = m.fallback ? 0 : (m.trackScore != null ? m.trackScore : 0.5);
+  var artist = m.artistScore != null ? m.artistScore : 0.5;
+  var rank = Math.max(0, 1 - (m.rank || 0) * 0.2);   // 1st result 1.0 … 5th 0.2
+  var format = m.format ? 1 : 0.5;                    // master-level fallback has no format
+  var score = track * 40 + artist * 35 + rank * 15 + format * 10;
+  if (m.hintScore) score += (100 - score) * m.hintScore * 0.5;
+  return Math.round(score);
+}
+
+/* ── Discogs OAuth 1.0a ──────────────────────────────────────── */
+
+// Consumer key / secret of a Discogs app registered at
+// discogs.com/settings/developers.  A build can carry them here;
+// otherwise they're entered on the settings page (discogsApp in sync
+// storage).  Sign-in is disabled while neither is set.
+var OAUTH_CONSUMER_KEY = "";
+var OAUTH_CONSUMER_SECRET = "";
+
+/** { key, secret } of the app sign-in goes through, or null (not set up). */
+async function getOAuthConsumer() {
+  if (OAUTH_CONSUMER_KEY && OAUTH_CONSUMER_SECRET) return { key: OAUTH_CONSUMER_KEY, secret: OAUTH_CONSUMER_SECRET };
+  var d = await chrome.storage.sync.get("discogsApp");
+  var app = d.discogsApp;
+  return (app && app.key && app.secret) ? { key: app.key, secret: app.secret } : null;
+}
+var OAUTH_REQUEST_URL = DISCOGS_BASE + "/oauth/request_token";
+var OAUTH_AUTHORIZE_URL = "https://www.discogs.com/oauth/authorize";
+var OAUTH_ACCESS_URL = DISCOGS_BASE + "/oauth/access_token";
+
+/** RFC 3986 percent-encoding (encodeURIComponent leaves !'()* alone). */
+function oauthEncode(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, function(c) {
+    return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+}
+
+/** The oauth_* parameters every request through `app` carries, plus `extra`. */
+function oauthParams(app, extra) {
+  var p = {
+    oauth_consumer_key: app.key,
+    oauth_nonce: crypto.randomUUID().replace(/-/g, ""),
+    oauth_signature_method: "PLAINTEXT",
+    oauth_timestamp: String(Math.floor(Date.now() / 1000)),
+    oauth_version: "1.0",
+  };
+  return Object.assign(p, extra || {});
+}
+
+/**
+ * "OAuth …" Authorization header.  Discogs takes PLAINTEXT signatures
+ * over HTTPS: the signature is just consumer secret & token secret.
+ */
+function oauthHeader(params, consumerSecret, tokenSecret) {
+  var p = Object.assign({}, params);
+  p.oauth_signature = oauthEncode(consumerSecret || "") + "&" + oauthEncode(tokenSecret || "");
+  return "OAuth " + Object.keys(p).sort().map(function(k) {
+    return k + "=\"" + oauthEncode(p[k]) + "\"";
+  }).join(", ");
+}
+
+/** Parse an application/x-www-form-urlencoded body into a plain object. */
+function parseFormEncoded(text) {
+  var out = {};
+  new URLSearchParams(text || "").forEach(function(v, k) { out[k] = v; });
+  return out;
+}
+
+async function oauthFetch(app, url, method, params, tokenSecret) {
+  var res = await fetch(url, {
+    method: method,
+    headers: {
+      "User-Agent": UA,
+      "Content-Type": "application/x-www-form-urlencoded",
+      "Authorization": oauthHeader(oauthParams(app, params), app.secret, tokenSecret),
+    },
+  });
+  if (!res.ok) throw new Error("Discogs sign-in failed (" + res.status + ").");
+  return parseFormEncoded(await res.text());
+}
+
+/**
+ * Request token → user authorizes on discogs.com (launchWebAuthFlow) →
+ * access token.  The access token and secret go to sync storage as
+ * discogsOAuth; a pasted personal token is left where it is.
+ */
+async function oauthSignIn() {
+  var app = await getOAuthConsumer();
+  if (!app) throw new Error("Discogs sign-in isn't set up — add the app's key and secret in settings, or paste a personal token.");
+
+  var req = await oauthFetch(app, OAUTH_REQUEST_URL, "GET", { oauth_callback: chrome.identity.getRedirectURL("discogs") });
+  if (!req.oauth_token) throw new Error("Discogs sign-in failed (no request token).");
+
+  var redirect = await chrome.identity.launchWebAuthFlow({
+    url: OAUTH_AUTHORIZE_URL + "?oauth_token=" + oauthEncode(req.oauth_token),
+    interactive: true,
+  });
+  var verifier = redirect && new URL(redirect).searchParams.get("oauth_verifier");
+  if (!verifier) throw new Error("Discogs sign-in was cancelled.");
+
+  var acc = await oauthFetch(app, OAUTH_ACCESS_URL, "POST",
+    { oauth_token: req.oauth_token, oauth_verifier: verifier }, req.oauth_token_secret);
+  if (!acc.oauth_token) throw new Error("Discogs sign-in failed (no access token).");
+
+  await chrome.storage.sync.set({ discogsOAuth: { token: acc.oauth_token, secret: acc.oauth_token_secret } });
+  if (DEBUG) console.log("[DP] OAuth signed in");
+  return true;
 }
 
 /* ── Discogs API ─────────────────────────────────────────────── */
 
-async function discogsGet(path, params, _retries) {
-  var token = await getToken();
-  if (!token) throw new Error("NO_TOKEN");
+function discogsGet(path, params) {
+  return discogsRequest("GET", path, params);
+}
+
+/**
+ * Authenticated Discogs API call.  GETs answer null for 403/404 (private
+ * or deleted data); writes (PUT/POST with a JSON body) throw instead so
+ * the caller can say the change didn't happen.  429s are retried after
+ * Retry-After, up to 3 times.
+ */
+async function discogsRequest(method, path, params, body, _retries) {
+  var auth = await getAuthHeader();
+  if (!auth) throw new Error("NO_TOKEN");
 
   await waitForDiscogsRate();
 
@@ -189,9 +839,14 @@ async function discogsGet(path, params, _retries) {
     }
   }
 
-  if (DEBUG) console.log("[DP] DISCOGS", url.pathname);
+  if (DEBUG) console.log("[DP] DISCOGS", method, url.pathname);
 
-  var res = await fetch(url.toString(), { headers: { "User-Agent": UA, "Authorization": "Discogs token=" + token } });
+  var init = { method: method, headers: { "User-Agent": UA, "Authorization": auth } };
+  if (body) {
+    init.headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+  var res = await fetch(url.toString(), init);
   discogsTimestamps.push(Date.now());
 
   if (res.status === 429) {
@@ -200,31 +855,289 @@ async function discogsGet(path, params, _retries) {
     var ra = parseInt(res.headers.get("Retry-After") || "5", 10);
     if (DEBUG) console.log("[DP] 429 retry", attempt, "/3 in", ra, "s");
     await new Promise(function(r) { setTimeout(r, ra * 1000); });
-    return discogsGet(path, params, attempt);
+    return discogsRequest(method, path, params, body, attempt);
   }
   if (res.status === 401) throw new Error("Invalid Discogs token.");
-  if (res.status === 403 || res.status === 404) return null;
-  if (!res.ok) throw new Error("Discogs API error " + res.status);
-  return res.json();
+  if (method === "GET") {
+    if (res.status === 403 || res.status === 404) return null;
+    if (!res.ok) throw new Error("Discogs API error " + res.status);
+    return res.json();
+  }
+  if (!res.ok) throw new Error("Discogs refused the change (" + res.status + ").");
+  var text = await res.text();
+  return text ? JSON.parse(text) : null;
 }
 
-/* ── Google search → Discogs URLs ────────────────────────────── */
+/* ── Identity / credential check ─────────────────────────────── */
+
+var IDENTITY_TTL = 5 * 60 * 1000;
+var identityCache = null;   // { key, at, data } — the popup asks on every open
 
 /**
- * Fetch Google search results from within the extension (has browser context),
- * extract Discogs release/master URLs from the results page.
- * Returns array of { type: "master"|"release", id: number, url: string }
+ * Which saved credential API calls use — the OAuth token or the personal
+ * token, not the signed header (that gets a new nonce on every call).
  */
-async function googleDiscogsSearch(query) {
+async function credentialKey() {
+  var d = await chrome.storage.sync.get(["discogsToken", "discogsOAuth"]);
+  if (d.discogsOAuth && d.discogsOAuth.token) return "oauth:" + d.discogsOAuth.token;
+  return d.discogsToken ? "token:" + d.discogsToken : "";
+}
+
+/** Rate-limit headroom from Discogs' X-Discogs-Ratelimit* response headers. */
+function parseRateLimit(headers) {
+  var limit = parseInt(headers.get("X-Discogs-Ratelimit"), 10);
+  var remaining = parseInt(headers.get("X-Discogs-Ratelimit-Remaining"), 10);
+  if (isNaN(limit) || isNaN(remaining)) return null;
+  return { limit: limit, remaining: remaining };
+}
+
+async function identityGet(path, token) {
+  var auth = token ? "Discogs token=" + token : await getAuthHeader();
+  await waitForDiscogsRate();
+  var res = await fetch(DISCOGS_BASE + path, { headers: { "User-Agent": UA, "Authorization": auth } });
+  discogsTimestamps.push(Date.now());
+  if (res.status === 401) throw new Error("Invalid Discogs token.");
+  if (!res.ok) throw new Error("Discogs API error " + res.status);
+  return { body: await res.json(), rateLimit: parseRateLimit(res.headers) };
+}
+
+/**
+ * Who the credentials belong to: { username, avatar, rateLimit }.
+ * Pass `token` to check a personal token before it is saved; otherwise
+ * the saved sign-in / token is used (and the answer cached briefly).
+ */
+async function fetchIdentity(token) {
+  var key = token ? "token:" + token : await credentialKey();
+  if (!key) throw new Error("NO_TOKEN");
+  if (!token && identityCache && identityCache.key === key && Date.now() - identityCache.at < IDENTITY_TTL)
+    return identityCache.data;
+
+  var id = await identityGet("/oauth/identity", token);
+  var data = { username: id.body.username, avatar: null, rateLimit: id.rateLimit };
   try {
-    var searchQuery = query + " discogs vinyl";
-    var url = "https://www.google.com/search?q=" + encodeURIComponent(searchQuery) + "&num=10";
+    var user = await identityGet("/users/" + encodeURIComponent(id.body.username), token);
+    data.avatar = user.body.avatar_url || null;
+    data.rateLimit = user.rateLimit || data.rateLimit;
+  } catch (e) { /* avatar is cosmetic */ }
+
+  if (!token) identityCache = { key: key, at: Date.now(), data: data };
+  return data;
+}
+
+/* ── Collection & wantlist ──────────────────────────────────── */
+
+var LIBRARY_KEY = "userLibrary";
+var LIBRARY_TTL = 6 * 60 * 60 * 1000;
+var LIBRARY_MAX_PAGES = 20;   // 100 per page; past 2,000 records we stop reading
+var LIBRARY_RATE_SHARE = 30;  // library pages wait while a minute's calls exceed this — searches keep the rest
+var libraryPending = null;
+
+/** { releases, masters } id lists from collection / wantlist entries. */
+function libraryIndex(items) {
+  var releases = [], masters = [];
+  for (var i = 0; i < items.length; i++) {
+    var it = items[i];
+    if (it.id) releases.push(it.id);
+    var masterId = it.basic_information && it.basic_information.master_id;
+    if (masterId && masters.indexOf(masterId) === -1) masters.push(masterId);
+  }
+  return { releases: releases, masters: masters };
+}
+
+async function fetchLibraryList(path, field) {
+  var items = [];
+  for (var page = 1; page <= LIBRARY_MAX_PAGES; page++) {
+    while (!rateOk(discogsTimestamps, LIBRARY_RATE_SHARE, 60000)) {
+      await new Promise(function(r) { setTimeout(r, 2000); });
+    }
+    var data = await discogsGet(path, { page: page, per_page: 100 });
+    if (!data) break;
+    items = items.concat(data[field] || []);
+    if (!data.pagination || page >= data.pagination.pages) break;
+  }
+  return libraryIndex(items);
+}
+
+async function refreshLibrary(username) {
+  var u = "/users/" + encodeURIComponent(username);
+  var lib = {
+    username: username,
+    at: Date.now(),
+    collection: await fetchLibraryList(u + "/collection/folders/0/releases", "releases"),
+    wants: await fetchLibraryList(u + "/wants", "wants"),
+  };
+  if (DEBUG) console.log("[DP] library:", lib.collection.releases.length, "owned,", lib.wants.releases.length, "wanted");
+  var o = {};
+  o[LIBRARY_KEY] = lib;
+  await chrome.storage.local.set(o);
+  return lib;
+}
+
+/**
+ * The cached collection and wantlist, or null before the first load.
+ * Never waits on Discogs: a missing or stale copy starts a load in the
+ * background and the next response picks it up.
+ */
+async function getLibrary() {
+  if (!(await credentialKey())) return null;
+  var d = await chrome.storage.local.get(LIBRARY_KEY);
+  var lib = d[LIBRARY_KEY] || null;
+  if ((!lib || Date.now() - lib.at >= LIBRARY_TTL) && !libraryPending) {
+    libraryPending = fetchIdentity()
+      .then(function(identity) { return refreshLibrary(identity.username); })
+      .catch(function(e) { if (DEBUG) console.log("[DP] library fetch failed:", e.message); return null; })
+      .finally(function() { libraryPending = null; });
+  }
+  return lib;
+}
+
+// Another account (new token, sign-in, sign-out): its library isn't this one
+chrome.storage.onChanged.addListener(function(changes, area) {
+  if (area !== "sync" || !(changes.discogsToken || changes.discogsOAuth)) return;
+  identityCache = null;
+  chrome.storage.local.remove(LIBRARY_KEY);
+});
+
+/**
+ * "release" when this exact pressing is in the list, "master" when
+ * another pressing of the same record is, else null.
+ */
+function libraryStatus(index, m) {
+  if (!index) return null;
+  if (m.releaseId && index.releases.indexOf(m.releaseId) !== -1) return "release";
+  if (m.masterId && index.masters.indexOf(m.masterId) !== -1) return "master";
+  return null;
+}
+
+/** Copies of matches with inCollection / inWantlist set (cached results stay untouched). */
+function annotateLibrary(matches, lib) {
+  return matches.map(function(m) {
+    return Object.assign({}, m, {
+      inCollection: libraryStatus(lib.collection, m),
+      inWantlist: libraryStatus(lib.wants, m),
+    });
+  });
+}
+
+/** index with a just-added release (and its master) in it. */
+function addToLibraryIndex(index, releaseId, masterId) {
+  var out = { releases: (index ? index.releases : []).slice(), masters: (index ? index.masters : []).slice() };
+  if (releaseId && out.releases.indexOf(releaseId) === -1) out.releases.push(releaseId);
+  if (masterId && out.masters.indexOf(masterId) === -1) out.masters.push(masterId);
+  return out;
+}
+
+/** Record an add in the cached library so badges update without a refetch. */
+async function rememberLibraryAdd(list, releaseId, masterId) {
+  var d = await chrome.storage.local.get(LIBRARY_KEY);
+  var lib = d[LIBRARY_KEY];
+  if (!lib) return;
+  lib[list] = addToLibraryIndex(lib[list], releaseId, masterId);
+  var o = {};
+  o[LIBRARY_KEY] = lib;
+  await chrome.storage.local.set(o);
+}
+
+async function libraryPath() {
+  var identity = await fetchIdentity();
+  return "/users/" + encodeURIComponent(identity.username);
+}
+
+/** Wantlist add; rating is 0–5 (0 = none). */
+async function addToWantlist(releaseId, masterId, notes, rating) {
+  var body = {};
+  if (notes) body.notes = notes;
+  if (rating) body.rating = Math.min(Math.max(parseInt(rating, 10) || 0, 0), 5);
+  await discogsRequest("PUT", (await libraryPath()) + "/wants/" + releaseId, null, body);
+  await rememberLibraryAdd("wants", releaseId, masterId);
+}
+
+/** Collection add — folder 1 is "Uncategorized" (0, "All", can't take adds). */
+async function addToCollection(releaseId, masterId, folderId) {
+  var folder = folderId || 1;
+  await discogsRequest("POST", (await libraryPath()) + "/collection/folders/" + folder + "/releases/" + releaseId);
+  await rememberLibraryAdd("collection", releaseId, masterId);
+}
+
+async function getCollectionFolders() {
+  var data = await discogsGet((await libraryPath()) + "/collection/folders");
+  return ((data && data.folders) || [])
+    .filter(function(f) { return f.id !== 0; })
+    .map(function(f) { return { id: f.id, name: f.name, count: f.count }; });
+}
+
+/** Search result with the collection / wantlist flags on every match. */
+async function withLibrary(result) {
+  if (!result || !result.global) return result;
+  var lib = await getLibrary().catch(function() { return null; });
+  if (!lib) return result;
+  var g = Object.assign({}, result.global, { matches: annotateLibrary(result.global.matches || [], lib) });
+  return Object.assign({}, result, { global: g });
+}
+
+/* ── Web search → Discogs URLs ───────────────────────────────── */
+
+/**
+ * Pull Discogs release/master URLs out of a search-engine results page.
+ * Engines wrap result links differently, so several patterns are tried;
+ * every hit goes through parseDiscogsUrl so dedup is the same everywhere.
+ */
+function extractDiscogsUrls(html) {
+  var results = [];
+  var seen = {};
+  var m;
+
+  // Pattern 1: Google redirect /url?q=https://www.discogs.com/...
+  var redirectPattern = /\/url\?q=(https?:\/\/www\.discogs\.com\/[^&"]+)/g;
+  while ((m = redirectPattern.exec(html)) !== null) {
+    parseDiscogsUrl(decodeURIComponent(m[1]), results, seen);
+  }
+
+  // Pattern 2: DuckDuckGo redirect //duckduckgo.com/l/?uddg=https%3A%2F%2Fwww.discogs.com...
+  var uddgPattern = /uddg=(https?%3A%2F%2Fwww\.discogs\.com[^&"]+)/gi;
+  while ((m = uddgPattern.exec(html)) !== null) {
+    try { parseDiscogsUrl(decodeURIComponent(m[1]), results, seen); } catch (e) { /* bad escape */ }
+  }
+
+  // Pattern 3: Bing click-tracking /ck/a?...&u=a1<base64url>
+  var bingPattern = /[?&;]u=a1([A-Za-z0-9_-]+)/g;
+  while ((m = bingPattern.exec(html)) !== null) {
+    try {
+      var b64 = m[1].replace(/-/g, "+").replace(/_/g, "/");
+      var target = atob(b64);
+      if (/discogs\.com/.test(target)) parseDiscogsUrl(target, results, seen);
+    } catch (e) { /* not base64 */ }
+  }
 
-    if (DEBUG) console.log("[DP] Google search:", searchQuery);
+  // Pattern 4: direct href="https://www.discogs.com/..."
+  var directPattern = /href="(https?:\/\/www\.discogs\.com\/[^"]+)"/g;
+  while ((m = directPattern.exec(html)) !== null) {
+    parseDiscogsUrl(m[1], results, seen);
+  }
+
+  // Pattern 5: URLs in text (sometimes in snippets)
+  var textPattern = /https?:\/\/www\.discogs\.com\/(?:release|master)\/(\d+)/g;
+  while ((m = textPattern.exec(html)) !== null) {
+    parseDiscogsUrl(m[0], results, seen);
+  }
+
+  return results;
+}
 
-    var controller = new AbortController();
-    var timeoutId = setTimeout(function() { controller.abort(); }, 8000);
+/**
+ * Fetch a search-engine results page from within the extension (has
+ * browser context) and extract Discogs URLs from it.
+ * Returns { status: "ok"|"empty"|"captcha"|"error", results: [...] }
+ * where results is an array of { type: "master"|"release", id, url }.
+ */
+async function htmlDiscoverySearch(provider, query) {
+  var url = provider.buildUrl(query + " discogs vinyl");
+  if (DEBUG) console.log("[DP]", provider.label, "search:", url);
+
+  var controller = new AbortController();
+  var timeoutId = setTimeout(function() { controller.abort(); }, 8000);
 
+  try {
     var res = await fetch(url, {
       headers: {
         "Accept": "text/html,application/xhtml+xml",
@@ -235,50 +1148,26 @@ async function googleDiscogsSearch(query) {
     clearTimeout(timeoutId);
 
     if (!res.ok) {
-      if (DEBUG) console.log("[DP] Google HTTP", res.status);
-      return [];
+      if (DEBUG) console.log("[DP]", provider.label, "HTTP", res.status);
+      return { status: res.status === 429 ? "captcha" : "error", results: [] };
     }
 
     var html = await res.text();
-    if (DEBUG) console.log("[DP] Google HTML length:", html.length);
-
-    if (html.indexOf("unusual traffic") >= 0 || html.indexOf("captcha") >= 0) {
-      console.log("[DP] Google CAPTCHA detected");
-      return [];
-    }
+    if (DEBUG) console.log("[DP]", provider.label, "HTML length:", html.length);
 
-    // Extract Discogs URLs from Google results
-    // Google wraps links in /url?q=... redirects or as direct <a href="..."> links
-    var results = [];
-    var seen = {};
-
-    // Pattern 1: /url?q=https://www.discogs.com/...
-    var redirectPattern = /\/url\?q=(https?:\/\/www\.discogs\.com\/[^&"]+)/g;
-    var m;
-    while ((m = redirectPattern.exec(html)) !== null) {
-      var decoded = decodeURIComponent(m[1]);
-      parseDiscogsUrl(decoded, results, seen);
+    if (provider.captchaPattern.test(html)) {
+      console.log("[DP]", provider.label, "CAPTCHA detected");
+      return { status: "captcha", results: [] };
     }
 
-    // Pattern 2: direct href="https://www.discogs.com/..."
-    var directPattern = /href="(https?:\/\/www\.discogs\.com\/[^"]+)"/g;
-    while ((m = directPattern.exec(html)) !== null) {
-      parseDiscogsUrl(m[1], results, seen);
-    }
-
-    // Pattern 3: URLs in text (sometimes in snippets)
-    var textPattern = /https?:\/\/www\.discogs\.com\/(?:release|master)\/(\d+)/g;
-    while ((m = textPattern.exec(html)) !== null) {
-      var fullUrl = m[0];
-      parseDiscogsUrl(fullUrl, results, seen);
-    }
-
-    if (DEBUG) console.log("[DP] Google found", results.length, "Discogs URLs");
-    return results;
+    var results = extractDiscogsUrls(html);
+    if (DEBUG) console.log("[DP]", provider.label, "found", results.length, "Discogs URLs");
+    return { status: results.length ? "ok" : "empty", results: results };
   } catch (e) {
+    clearTimeout(timeoutId);
     if (e.name === "AbortError") {
-      if (DEBUG) console.log("[DP] Google search timed out");
-      return [];
+      if (DEBUG) console.log("[DP]", provider.label, "search timed out");
+      return { status: "error", results: [] };
     }
     throw e;
   }
@@ -308,13 +1197,357 @@ function parseDiscogsUrl(url, results, seen) {
   }
 }
 
-/* ── Fetch Discogs release/master details ────────────────────── */
+/* ── Discogs database search → Discogs URLs ──────────────────── */
+
+/**
+ * Turn a /database/search response into the same { type, id, url } list
+ * googleDiscogsSearch returns.  Goes through parseDiscogsUrl so dedup
+ * behaves identically for both discovery paths.
+ */
+function parseDatabaseSearchResults(data) {
+  var results = [];
+  var seen = {};
+  var list = (data && data.results) ? data.results : [];
+  for (var i = 0; i < list.length; i++) {
+    var r = list[i];
+    if (r.type !== "master" && r.type !== "release") continue;
+    var url = r.uri ? "https://www.discogs.com" + r.uri : "https://www.discogs.com/" + r.type + "/" + r.id;
+    parseDiscogsUrl(url, results, seen);
+  }
+  return results;
+}
+
+/**
+ * Discovery via the Discogs /database/search endpoint — the "discogs"
+ * provider, by default tried after the web search engines come back
+ * empty (CAPTCHA page, timeout, no hits).
+ * Searches by parsed artist + track when we have both, otherwise by
+ * free-text query.  Always restricted to vinyl.
+ */
+async function discogsDatabaseSearch(query, parsed, hints) {
+  var params = { format: "Vinyl", per_page: "10" };
+  if (parsed && parsed.artist && parsed.track) {
+    params.artist = parsed.artist;
+    params.track = parsed.track;
+    if (hints && hints.album) params.release_title = hints.album;
+  } else {
+    params.q = query;
+  }
+
+  if (DEBUG) console.log("[DP] Discogs database search:", JSON.stringify(params));
+
+  var data = await discogsGet("/database/search", params);
+  var results = parseDatabaseSearchResults(data);
+
+  // artist+track can be too strict (typos, "feat." noise) — retry free-text
+  if (results.length === 0 && !params.q) {
+    data = await discogsGet("/database/search", { q: query, format: "Vinyl", per_page: "10" });
+    results = parseDatabaseSearchResults(data);
+  }
+
+  if (DEBUG) console.log("[DP] Discogs database search found", results.length, "results");
+  return results;
+}
+
+/* ── Discovery providers ─────────────────────────────────────── */
+
+/*
+ * Each provider turns a YouTube title into a list of Discogs
+ * { type, id, url } candidates.  "html" providers scrape a search-engine
+ * results page via htmlDiscoverySearch; "api" providers query Discogs.
+ * The user picks the order on the options page; providers that keep
+ * hitting CAPTCHAs or errors are temporarily demoted to the end.
+ */
+var DISCOVERY_PROVIDERS = {
+  google: {
+    label: "Google", kind: "html",
+    captchaPattern: /unusual traffic|captcha/,
+    buildUrl: function(q) { return "https://www.google.com/search?q=" + encodeURIComponent(q) + "&num=10"; }
+  },
+  duckduckgo: {
+    label: "DuckDuckGo", kind: "html",
+    captchaPattern: /anomaly-modal|bots use DuckDuckGo too/i,
+    buildUrl: function(q) { return "https://html.duckduckgo.com/html/?q=" + encodeURIComponent(q); }
+  },
+  bing: {
+    label: "Bing", kind: "html",
+    captchaPattern: /b_captcha|verify you are a human/i,
+    buildUrl: function(q) { return "https://www.bing.com/search?q=" + encodeURIComponent(q) + "&count=20"; }
+  },
+  discogs: {
+    label: "Discogs database", kind: "api"
+  }
+};
+
+var DEFAULT_PROVIDER_ORDER = ["google", "duckduckgo", "bing", "discogs"];
+var PROVIDER_DEMOTE_AFTER = 3;              // consecutive CAPTCHA/error results
+var PROVIDER_DEMOTE_MS = 30 * 60 * 1000;    // 30 minutes
+
+var providerHealth = {};
+
+async function restoreProviderHealth() {
+  try {
+    var d = await chrome.storage.local.get("providerHealth");
+    if (d.providerHealth) providerHealth = JSON.parse(d.providerHealth);
+  } catch (e) { /* ignore */ }
+}
+restoreProviderHealth();
+
+function persistProviderHealth() {
+  try {
+    chrome.storage.local.set({ providerHealth: JSON.stringify(providerHealth) });
+  } catch (e) { /* ignore */ }
+}
+
+/**
+ * Update a provider's counters after a search.  A run of
+ * PROVIDER_DEMOTE_AFTER CAPTCHA/error results demotes the provider for
+ * PROVIDER_DEMOTE_MS; any clean response (hits or no hits) clears it.
+ */
+function recordProviderOutcome(health, id, status, now) {
+  var h = health[id];
+  if (!h) h = health[id] = { ok: 0, empty: 0, captcha: 0, error: 0, streak: 0, demotedUntil: 0 };
+  h[status] = (h[status] || 0) + 1;
+  if (status === "captcha" || status === "error") {
+    h.streak++;
+    if (h.streak >= PROVIDER_DEMOTE_AFTER) h.demotedUntil = now + PROVIDER_DEMOTE_MS;
+  } else {
+    h.streak = 0;
+    h.demotedUntil = 0;
+  }
+  h.lastStatus = status;
+  h.lastTime = now;
+  return h;
+}
+
+/**
+ * Resolve the user's saved order into the list of provider IDs to try.
+ * Unknown IDs are dropped, providers missing from the saved order are
+ * appended in default order, and demoted providers move to the end.
+ */
+function orderProviders(order, health, now) {
+  var ids = [];
+  var src = (order && order.length) ? order : DEFAULT_PROVIDER_ORDER;
+  for (var i = 0; i < src.length; i++) {
+    if (DISCOVERY_PROVIDERS[src[i]] && ids.indexOf(src[i]) < 0) ids.push(src[i]);
+  }
+  for (var j = 0; j < DEFAULT_PROVIDER_ORDER.length; j++) {
+    if (ids.indexOf(DEFAULT_PROVIDER_ORDER[j]) < 0) ids.push(DEFAULT_PROVIDER_ORDER[j]);
+  }
+
+  var healthy = [], demoted = [];
+  for (var k = 0; k < ids.length; k++) {
+    var h = health && health[ids[k]];
+    if (h && h.demotedUntil > now) demoted.push(ids[k]);
+    else healthy.push(ids[k]);
+  }
+  return healthy.concat(demoted);
+}
+
+async function getProviderOrder() {
+  var d = await chrome.storage.sync.get("discoveryOrder");
+  return orderProviders(d.discoveryOrder, providerHealth, Date.now());
+}
+
+async function runProvider(id, query, parsed, hints) {
+  var provider = DISCOVERY_PROVIDERS[id];
+  if (provider.kind === "api") {
+    var results = await discogsDatabaseSearch(query, parsed, hints);
+    return { status: results.length ? "ok" : "empty", results: results };
+  }
+  return htmlDiscoverySearch(provider, query);
+}
+
+/**
+ * Try each provider in order until one returns Discogs candidates.
+ */
+async function runDiscovery(query, parsed, hints) {
+  var order = await getProviderOrder();
+  for (var i = 0; i < order.length; i++) {
+    var out;
+    try {
+      out = await runProvider(order[i], query, parsed, hints);
+    } catch (e) {
+      // Auth problems aren't the provider's fault — surface them
+      if (e.message === "NO_TOKEN" || e.message === "Invalid Discogs token.") throw e;
+      console.error("[DP] discovery provider", order[i], "error:", e);
+      out = { status: "error", results: [] };
+    }
+    recordProviderOutcome(providerHealth, order[i], out.status, Date.now());
+    persistProviderHealth();
+    if (out.results.length > 0) {
+      if (DEBUG) console.log("[DP] discovery via", order[i], "→", out.results.length, "candidates");
+      return out.results;
+    }
+  }
+  return [];
+}
+
+/* ── Fetch Discogs release/master details ────────────────────── */
+
+function extractArtistNames(discogsArtists) {
+  if (!discogsArtists) return "";
+  // Discogs' "join" says how an artist connects to the next one
+  // ("&", "Feat.", "Vs.") — keep it; plain lists read "A, B"
+  var out = "";
+  for (var i = 0; i < discogsArtists.length; i++) {
+    var a = discogsArtists[i];
+    out += (a.name || "").replace(/\s*\(\d+\)$/, "");
+    if (i < discogsArtists.length - 1) {
+      var join = (a.join || "").trim();
+      out += join && join !== "," ? " " + join + " " : ", ";
+    }
+  }
+  return out;
+}
+
+/** "LP, Album, RE" style summary of a release's `formats`, like the versions list shows. */
+function formatSummary(formats) {
+  if (!formats || !formats.length) return null;
+  var parts = [];
+  for (var f = 0; f < formats.length; f++) {
+    var desc = formats[f].descriptions || [];
+    if (desc.length) parts.push(desc.join(", "));
+    else if (formats[f].name) parts.push(formats[f].name);
+  }
+  return parts.length ? parts.join(", ") : null;
+}
+
+/* ── Format filters (7", 12", LP, promo…) ─────────────────────── */
+
+/*
+ * Tags read from a Discogs format string — a release's formatSummary or
+ * a master version's "format" ('12", Single, RE').  Sizes and kinds
+ * overlap: a 12" EP is both "12in" and "ep"; "12in" excludes LPs.
+ */
+var FORMAT_TAGS = {
+  "7in":   /(?:^|[^\d])7(?:"|''|\u2033|\s*inch)/i,
+  "10in":  /(?:^|[^\d])10(?:"|''|\u2033|\s*inch)/i,
+  "12in":  /(?:^|[^\d])12(?:"|''|\u2033|\s*inch)/i,
+  lp:      /\bLP\b|\bAlbum\b/i,
+  ep:      /\bEP\b/i,
+  box:     /\bBox\b/i,
+  promo:   /\bPromo\b/i,
+  test:    /\bTest Pressing\b|\bTP\b/i,
+  reissue: /\bReissue\b|\bRE\b|\bRemastered\b/i,
+  repress: /\bRepress\b|\bRP\b/i
+};
+
+function classifyFormat(format) {
+  var tags = [];
+  if (!format) return tags;
+  var names = Object.keys(FORMAT_TAGS);
+  for (var i = 0; i < names.length; i++) {
+    if (FORMAT_TAGS[names[i]].test(format)) tags.push(names[i]);
+  }
+  // An LP is 12" too, but "12in" means 12" singles / maxis to a DJ
+  if (tags.indexOf("lp") >= 0 || tags.indexOf("box") >= 0) {
+    tags = tags.filter(function(t) { return t !== "12in"; });
+  }
+  return tags;
+}
+
+/*
+ * The user's format choices (chrome.storage.sync "formatFilter"):
+ *   types     — any of 7in / 10in / 12in / lp / ep / box; empty = all
+ *   promo     — include promos
+ *   test      — include test pressings
+ *   pressing  — "any" | "original" | "reissue"
+ */
+var DEFAULT_FORMAT_FILTER = { types: [], promo: true, test: true, pressing: "any" };
+
+async function getFormatFilter() {
+  try {
+    var d = await chrome.storage.sync.get("formatFilter");
+    return Object.assign({}, DEFAULT_FORMAT_FILTER, d.formatFilter || {});
+  } catch (e) {
+    return DEFAULT_FORMAT_FILTER;
+  }
+}
+
+/** Stable string for cache keys — changing the filter must not hit old results. */
+function formatFilterKey(filter) {
+  if (!filter) return "";
+  var types = (filter.types || []).slice().sort().join("+");
+  var key = types + (filter.promo === false ? "|-promo" : "") + (filter.test === false ? "|-test" : "") +
+    (filter.pressing && filter.pressing !== "any" ? "|" + filter.pressing : "");
+  return key;
+}
+
+/**
+ * Whether a match passes the filter.  Formats we can't read (a
+ * master-level fallback has none) always pass.  Originals vs reissues
+ * go by classifyPressing, so the filter agrees with the badges.
+ */
+function matchesFormatFilter(m, filter) {
+  if (!m.format || !filter) return true;
+  var tags = classifyFormat(m.format);
+  var types = filter.types || [];
+  if (types.length) {
+    var hit = false;
+    for (var i = 0; i < types.length; i++) {
+      if (tags.indexOf(types[i]) >= 0) { hit = true; break; }
+    }
+    if (!hit) return false;
+  }
+  if (filter.promo === false && tags.indexOf("promo") >= 0) return false;
+  if (filter.test === false && tags.indexOf("test") >= 0) return false;
+  if (filter.pressing === "original" || filter.pressing === "reissue") {
+    var pressing = classifyPressing(m);
+    var later = pressing === "reissue" || pressing === "repress";
+    if (filter.pressing === "original" && later) return false;
+    if (filter.pressing === "reissue" && !later) return false;
+  }
+  return true;
+}
+
+/* ── Original pressing vs repress vs reissue ─────────────────── */
 
-function extractArtistNames(discogsArtists) {
-  if (!discogsArtists) return "";
-  return discogsArtists.map(function(a) {
-    return (a.name || "").replace(/\s*\(\d+\)$/, "");
-  }).join(", ");
+/**
+ * Classify a match as "original", "repress" or "reissue" (null when we
+ * can't tell).  Format descriptions win ("RE", "Repress"); otherwise the
+ * master's main_release is the original, and a pressing more than a
+ * year after the master's first release is a reissue.
+ */
+function classifyPressing(m) {
+  if (!m.releaseId) return null;   // master-level fallback mixes every pressing
+  var tags = classifyFormat(m.format);
+  if (tags.indexOf("reissue") >= 0) return "reissue";
+  if (tags.indexOf("repress") >= 0) return "repress";
+  if (m.mainRelease && m.releaseId === m.mainRelease) return "original";
+  var year = parseInt(m.year, 10), first = parseInt(m.masterYear, 10);
+  if (year && first) return year - first <= 1 ? "original" : "reissue";
+  return null;
+}
+
+/**
+ * Per-pressing aggregate stats from buildResult's per-match pricing:
+ * entries of { pressing, numForSale, lowestPrice, prices }.
+ * Returns { original: { numForSale, lowestPrice, medianPrice, matchCount }, … }
+ * with only the groups that occur.
+ */
+function summarizePressings(entries) {
+  var groups = {};
+  for (var i = 0; i < entries.length; i++) {
+    var e = entries[i];
+    if (!e.pressing) continue;
+    var g = groups[e.pressing] || (groups[e.pressing] = { numForSale: 0, lowestPrice: null, prices: [], matchCount: 0 });
+    g.matchCount++;
+    g.numForSale += e.numForSale || 0;
+    if (e.lowestPrice != null && (g.lowestPrice == null || e.lowestPrice < g.lowestPrice)) g.lowestPrice = e.lowestPrice;
+    for (var p = 0; p < (e.prices || []).length; p++) g.prices.push(e.prices[p]);
+  }
+  var out = {};
+  var names = Object.keys(groups);
+  for (var n = 0; n < names.length; n++) {
+    var grp = groups[names[n]];
+    grp.prices.sort(function(a, b) { return a - b; });
+    out[names[n]] = {
+      numForSale: grp.numForSale, lowestPrice: grp.lowestPrice,
+      medianPrice: computeMedian(grp.prices), matchCount: grp.matchCount
+    };
+  }
+  return out;
 }
 
 function isVinylFormat(formats) {
@@ -327,23 +1560,146 @@ function isVinylFormat(formats) {
 
 /* ── Expand master into per-version matches ──────────────────── */
 
+var DEFAULT_VERSION_CAP = 10;
+var MAX_VERSION_CAP = 50;      // each version costs a sell-page scrape in gatherPricing
+var MAX_VERSION_PAGES = 5;     // 500 versions is more than any master has on vinyl
+
+/** User's "pressings per record" setting, clamped to 1…MAX_VERSION_CAP. */
+async function getVersionCap() {
+  try {
+    var d = await chrome.storage.sync.get("versionCap");
+    var n = parseInt(d.versionCap, 10);
+    if (n > 0) return Math.min(n, MAX_VERSION_CAP);
+  } catch (e) { /* ignore */ }
+  return DEFAULT_VERSION_CAP;
+}
+
+/**
+ * A master's vinyl versions, newest first.  Page 1 of 100 always; more
+ * pages only while `settled(versions)` says the ones so far can't fill
+ * the pick yet.  `listed` (release IDs with copies for sale, from the
+ * sell page) is scraped once the first page shows more versions than
+ * the cap — below it every version is priced anyway.
+ */
+async function fetchVersions(masterId, cap, settled) {
+  var out = { versions: [], listed: [] };
+  for (var page = 1; page <= MAX_VERSION_PAGES; page++) {
+    var vp = { per_page: "100", page: String(page), sort: "released", sort_order: "desc", format: "Vinyl" };
+    var data = await discogsGet("/masters/" + masterId + "/versions", vp);
+    var list = (data && data.versions) ? data.versions : [];
+    out.versions = out.versions.concat(list);
+    var pagination = (data && data.pagination) || { pages: 1, items: list.length };
+    if (page === 1 && (pagination.items || list.length) > cap) out.listed = await fetchListedReleaseIds(masterId);
+    if (!list.length || page >= pagination.pages || settled(out.versions, out.listed)) break;
+  }
+  return out;
+}
+
+/**
+ * Release IDs listed on a master's sell page, cheapest listing first
+ * (the page is sorted by price).  Each listing links its release as
+ * /release/{id}; repeats just mean more copies of the same pressing.
+ */
+function parseSellListReleaseIds(html) {
+  var ids = [];
+  var seen = {};
+  var re = /href="(?:https:\/\/www\.discogs\.com)?\/(?:[^"\/]+\/)?release\/(\d+)/g;
+  var m;
+  while ((m = re.exec(html || "")) !== null) {
+    var id = parseInt(m[1], 10);
+    if (!seen[id]) { seen[id] = true; ids.push(id); }
+  }
+  return ids;
+}
+
+/** Scrape the master sell page to learn which versions have copies listed. */
+async function fetchListedReleaseIds(masterId) {
+  try {
+    var url = "https://www.discogs.com/sell/list?master_id=" + masterId + "&format=Vinyl&sort=price%2Casc&limit=250";
+    var res = await fetch(url, { headers: { "Accept": "text/html", "Accept-Language": "en-US,en;q=0.9" } });
+    if (!res.ok) return [];
+    return parseSellListReleaseIds(await res.text());
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Pick which versions to price: vinyl pressings that pass the user's
+ * format filter, those with copies listed first (cheapest listing
+ * first); the rest fill any room left in the cap in the versions' own
+ * (newest-first) order.  `master` dates the versions for the
+ * originals / reissues filter.
+ */
+function selectVersions(versions, listedIds, cap, seenReleases, formatFilter, master) {
+  var byId = {};
+  var vinyl = [];
+  for (var i = 0; i < versions.length; i++) {
+    var v = versions[i];
+    if (!v.major_formats || v.major_formats.indexOf("Vinyl") < 0) continue;
+    var vm = {
+      releaseId: v.id, format: v.format, year: v.released,
+      mainRelease: master ? master.main_release : null, masterYear: master ? master.year : null
+    };
+    if (!matchesFormatFilter(vm, formatFilter)) continue;
+    if (seenReleases[v.id] || byId[v.id]) continue;
+    byId[v.id] = v;
+    vinyl.push(v);
+  }
+
+  var picked = [];
+  var taken = {};
+  for (var l = 0; l < listedIds.length && picked.length < cap; l++) {
+    var lv = byId[listedIds[l]];
+    if (lv && !taken[lv.id]) { taken[lv.id] = true; picked.push(lv); }
+  }
+  for (var r = 0; r < vinyl.length && picked.length < cap; r++) {
+    if (!taken[vinyl[r].id]) { taken[vinyl[r].id] = true; picked.push(vinyl[r]); }
+  }
+  return picked;
+}
+
+/**
+ * Would more version pages change selectVersions' pick?  Not once it is
+ * full and every listed release that ranks ahead of its last listed pick
+ * has turned up — an unseen one could still displace a pick (listed
+ * versions go first, cheapest listing first).
+ */
+function versionsSettled(versions, listedIds, cap, seenReleases, formatFilter, master) {
+  var picked = selectVersions(versions, listedIds, cap, seenReleases, formatFilter, master);
+  if (picked.length < cap) return false;
+  var found = {}, pickedIds = {};
+  for (var i = 0; i < versions.length; i++) found[versions[i].id] = true;
+  for (var p = 0; p < picked.length; p++) pickedIds[picked[p].id] = true;
+  for (var l = 0, n = 0; l < listedIds.length && n < cap; l++) {
+    if (!found[listedIds[l]]) return false;
+    if (pickedIds[listedIds[l]]) n++;
+  }
+  return true;
+}
+
 async function expandMasterVersions(master, masterId, seenReleases) {
   var results = [];
   var artists = extractArtistNames(master.artists);
+  var formatFiltered = false;
 
   try {
-    var vp = { per_page: "100", sort: "released", sort_order: "desc", format: "Vinyl" };
-    var versionsData = await discogsGet("/masters/" + masterId + "/versions", vp);
-    var vList = (versionsData && versionsData.versions) ? versionsData.versions : [];
-    // Cap to avoid excessive API calls later in gatherPricing
-    var vCap = Math.min(vList.length, 10);
-
-    for (var i = 0; i < vCap; i++) {
-      var v = vList[i];
-      // Only vinyl
-      if (!v.major_formats || v.major_formats.indexOf("Vinyl") < 0) continue;
-      // Skip duplicates
-      if (seenReleases[v.id]) continue;
+    var cap = await getVersionCap();
+    var formatFilter = await getFormatFilter();
+    // Versions with copies for sale first — the cheapest copy is often on
+    // an older pressing that a newest-N cutoff would never look at
+    var fetched = await fetchVersions(masterId, cap, function(versions, listedIds) {
+      return versionsSettled(versions, listedIds, cap, seenReleases, formatFilter, master);
+    });
+    var vList = fetched.versions;
+    var listed = fetched.listed;
+    var picked = selectVersions(vList, listed, cap, seenReleases, formatFilter, master);
+    // Vinyl versions exist but the format filter dropped them all
+    formatFiltered = picked.length === 0 && selectVersions(vList, listed, cap, seenReleases, null, master).length > 0;
+    if (DEBUG) console.log("[DP] master", masterId, "→", vList.length, "versions,", listed.length, "listed, pricing", picked.length);
+
+    for (var i = 0; i < picked.length; i++) {
+      var v = picked[i];
       seenReleases[v.id] = true;
 
       // buildResult → gatherPricing scrapes the sell page for each match,
@@ -354,9 +1710,14 @@ async function expandMasterVersions(master, masterId, seenReleases) {
         releaseId: v.id,
         title: v.title || master.title,
         format: v.format || null,
+        label: v.label || null,
+        catno: v.catno || null,
+        country: v.country || null,
         artists: artists,
         year: v.released || master.year,
         thumb: v.thumb || ((master.images && master.images[0]) ? master.images[0].uri150 : null),
+        mainRelease: master.main_release || null,
+        masterYear: master.year || null,
         numForSale: 0,
         lowestPrice: null
       });
@@ -365,13 +1726,16 @@ async function expandMasterVersions(master, masterId, seenReleases) {
     console.error("[DP] expandMasterVersions error:", e);
   }
 
-  // Fallback: if no vinyl versions found at all, create a single master-level match
+  // Fallback: if no vinyl versions found at all, create a single master-level match.
+  // Its sell page covers every format, so when it stands in for versions the
+  // format filter dropped it is marked and buildResult keeps it out of the stats.
   if (results.length === 0) {
     results.push({
       masterId: masterId,
       releaseId: null,
       title: master.title,
       format: null,
+      formatFiltered: formatFiltered,
       artists: artists,
       year: master.year,
       thumb: (master.images && master.images[0]) ? master.images[0].uri150 : null,
@@ -383,16 +1747,84 @@ async function expandMasterVersions(master, masterId, seenReleases) {
   return results;
 }
 
-async function fetchDiscogsDetails(googleResults, trackName) {
+/**
+ * Attach the verification signals computeConfidence needs to a match:
+ * discovery rank, track/artist similarity and whether the track filter
+ * was skipped (fallback mode).
+ */
+function tagMatch(match, signals) {
+  match.rank = signals.rank;
+  match.trackScore = signals.trackScore;
+  match.artistScore = signals.artistScore;
+  match.fallback = signals.fallback;
+  return match;
+}
+
+/**
+ * Does this pressing carry the requested version (want, from
+ * parseTrackVersion)?  Direct releases, master-level matches and a
+ * master's main release were scored on their own tracklist.  Other
+ * pressings expanded from a master share its score, so they go by what
+ * their own title ("Blue Monday (Dub)") and format descriptions
+ * ("Remix") name — and a pressing naming no version doesn't count.
+ */
+function pressingCarriesVersion(m, want) {
+  if (!m.masterId || !m.releaseId || m.releaseId === m.mainRelease) return m.trackScore === 1;
+  var named = parseTrackVersion(m.title).version;
+  var parts = String(m.format || "").split(",");
+  for (var i = 0; i < parts.length; i++) {
+    var q = parseVersionQualifier(parts[i].replace(/"/g, " "));
+    if (!q) continue;
+    if (!named) named = { kinds: [], remixer: null };
+    for (var k = 0; k < q.kinds.length; k++) {
+      if (named.kinds.indexOf(q.kinds[k]) < 0) named.kinds.push(q.kinds[k]);
+    }
+  }
+  return !!named && versionMatchScore(want, named) === 1;
+}
+
+/** Single-release match (no master expansion) from a /releases/{id} response. */
+function releaseToMatch(rel) {
+  return {
+    masterId: null,
+    releaseId: rel.id,
+    title: rel.title,
+    format: formatSummary(rel.formats),
+    label: (rel.labels && rel.labels[0]) ? rel.labels[0].name : null,
+    catno: (rel.labels && rel.labels[0]) ? rel.labels[0].catno : null,
+    country: rel.country || null,
+    artists: extractArtistNames(rel.artists),
+    year: rel.year,
+    thumb: (rel.images && rel.images[0]) ? rel.images[0].uri150 : null,
+    mainRelease: rel.master_id ? null : rel.id,   // no master — it's the only pressing
+    masterYear: null,
+    numForSale: rel.num_for_sale || 0,
+    lowestPrice: rel.lowest_price != null ? rel.lowest_price : null
+  };
+}
+
+/**
+ * Verify candidates and expand them into per-pressing matches.
+ * Track mode checks trackName against each tracklist; album mode (album
+ * = { title, tracks }) checks the release title and chapter overlap
+ * instead.  With neither, every candidate is accepted (fallback mode).
+ */
+async function fetchDiscogsDetails(candidates, trackName, artistName, album) {
   var matches = [];
   var seenMasters = {};
   var seenReleases = {};
+  var fallback = !trackName && !album;
+
+  function verifyScore(entity) {
+    if (album) return albumMatchScore(entity, album);
+    return fallback ? null : trackMatchScore(entity.tracklist, trackName);
+  }
 
-  // Process up to 5 Google results
-  var cap = Math.min(googleResults.length, 5);
+  // Process up to 5 discovery results
+  var cap = Math.min(candidates.length, 5);
 
   for (var i = 0; i < cap; i++) {
-    var gr = googleResults[i];
+    var gr = candidates[i];
 
     if (gr.type === "master") {
       if (seenMasters[gr.id]) continue;
@@ -402,13 +1834,19 @@ async function fetchDiscogsDetails(googleResults, trackName) {
       if (!master) continue;
 
       // Verify track is on this release (skip if empty — fallback mode)
-      var trackOk = !trackName || tracklistContains(master.tracklist, trackName);
-      if (DEBUG) console.log("[DP] master", gr.id, master.title, "→ track:", trackOk);
-      if (!trackOk) continue;
+      var trackScore = verifyScore(master);
+      if (DEBUG) console.log("[DP] master", gr.id, master.title, "→ track:", trackScore);
+      if (trackScore === 0) continue;
+
+      // Reject covers / same-titled songs by someone else
+      var artistScore = artistMatchScore(artistName, master.artists, master.tracklist);
+      if (DEBUG) console.log("[DP] master", gr.id, "→ artist score:", artistScore);
+      if (artistScore === 0) continue;
 
       // Expand into per-version matches so each pressing appears separately
+      var signals = { rank: i, trackScore: trackScore, artistScore: artistScore, fallback: fallback };
       var versionMatches = await expandMasterVersions(master, gr.id, seenReleases);
-      for (var vm = 0; vm < versionMatches.length; vm++) matches.push(versionMatches[vm]);
+      for (var vm = 0; vm < versionMatches.length; vm++) matches.push(tagMatch(versionMatches[vm], signals));
 
     } else if (gr.type === "release") {
       var rel = await discogsGet("/releases/" + gr.id);
@@ -419,11 +1857,13 @@ async function fetchDiscogsDetails(googleResults, trackName) {
         seenMasters[rel.master_id] = true;
         var mst = await discogsGet("/masters/" + rel.master_id);
         if (mst) {
-          var mTrackOk = !trackName || tracklistContains(mst.tracklist, trackName);
-          if (DEBUG) console.log("[DP] release", gr.id, "→ master", rel.master_id, mst.title, "→ track:", mTrackOk);
-          if (mTrackOk) {
+          var mTrackScore = verifyScore(mst);
+          var mArtistScore = artistMatchScore(artistName, mst.artists, mst.tracklist);
+          if (DEBUG) console.log("[DP] release", gr.id, "→ master", rel.master_id, mst.title, "→ track:", mTrackScore, "artist:", mArtistScore);
+          if (mTrackScore !== 0 && mArtistScore !== 0) {
+            var mSignals = { rank: i, trackScore: mTrackScore, artistScore: mArtistScore, fallback: fallback };
             var mVersionMatches = await expandMasterVersions(mst, rel.master_id, seenReleases);
-            for (var mv = 0; mv < mVersionMatches.length; mv++) matches.push(mVersionMatches[mv]);
+            for (var mv = 0; mv < mVersionMatches.length; mv++) matches.push(tagMatch(mVersionMatches[mv], mSignals));
             continue;
           }
         }
@@ -439,23 +1879,26 @@ async function fetchDiscogsDetails(googleResults, trackName) {
       }
 
       // Check release tracklist directly (skip if empty — fallback mode)
-      var rTrackOk = !trackName || tracklistContains(rel.tracklist, trackName);
-      if (DEBUG) console.log("[DP] release", gr.id, rel.title, "→ track:", rTrackOk);
-      if (!rTrackOk) continue;
-
-      matches.push({
-        masterId: null,
-        releaseId: gr.id,
-        title: rel.title,
-        artists: extractArtistNames(rel.artists),
-        year: rel.year,
-        thumb: (rel.images && rel.images[0]) ? rel.images[0].uri150 : null,
-        numForSale: rel.num_for_sale || 0,
-        lowestPrice: rel.lowest_price != null ? rel.lowest_price : null
-      });
+      var rTrackScore = verifyScore(rel);
+      if (DEBUG) console.log("[DP] release", gr.id, rel.title, "→ track:", rTrackScore);
+      if (rTrackScore === 0) continue;
+
+      var rArtistScore = artistMatchScore(artistName, rel.artists, rel.tracklist, rel.extraartists);
+      if (DEBUG) console.log("[DP] release", gr.id, "→ artist score:", rArtistScore);
+      if (rArtistScore === 0) continue;
+
+      matches.push(tagMatch(releaseToMatch(rel),
+        { rank: i, trackScore: rTrackScore, artistScore: rArtistScore, fallback: fallback }));
     }
   }
 
+  // A specific version was asked for ("Dub Mix") — mark the pressings
+  // that actually carry it
+  var wantVersion = (!fallback && !album) ? parseTrackVersion(trackName).version : null;
+  if (wantVersion) {
+    for (var x = 0; x < matches.length; x++) matches[x].versionMatch = pressingCarriesVersion(matches[x], wantVersion);
+  }
+
   return matches;
 }
 
@@ -467,11 +1910,122 @@ async function getPriceSuggestions(releaseId) {
   } catch (e) { return null; }
 }
 
-async function gatherPricing(match, usOnly) {
+/* ── Marketplace stats cross-check ────────────────────────────── */
+
+// Sell-page scraping breaks silently when Discogs changes its markup.
+// /marketplace/stats gives the count and lowest price for a release, so
+// scraped figures that disagree by more than these margins are replaced
+// by the API's and logged as drift for the settings page.
+var DRIFT_KEY = "scrapeDrift";
+var DRIFT_MAX_ENTRIES = 20;
+var DRIFT_COUNT_TOLERANCE = 0.15;   // 15 %, and always at least 2 listings
+var DRIFT_PRICE_TOLERANCE = 0.10;   // 10 %, and at least $1 — Discogs converts at its own rates
+var MARKET_STATS_TTL = 10 * 60 * 1000;
+var MARKET_STATS_PER_SEARCH = 3;    // pressings cross-checked per search — a sample is enough to spot drift
+var marketStatsCache = {};          // releaseId → { at, data }; the popup re-scrapes what we just priced
+
+/**
+ * { numForSale, lowestPrice (USD) } for a release, or null when
+ * unavailable.  cachedOnly answers from what an earlier call fetched,
+ * without an API call.
+ */
+async function getMarketplaceStats(releaseId, rates, cachedOnly) {
+  var hit = marketStatsCache[releaseId];
+  if (hit && Date.now() - hit.at < MARKET_STATS_TTL) return hit.data;
+  if (cachedOnly) return null;
+  try {
+    var d = await discogsGet("/marketplace/stats/" + releaseId, { curr_abbr: "USD" });
+    if (!d) return null;
+    var lp = d.lowest_price;
+    var data = {
+      numForSale: d.num_for_sale != null ? d.num_for_sale : null,
+      lowestPrice: lp && lp.value != null ? convertToUSD(lp.value, lp.currency || "USD", rates) : null,
+    };
+    marketStatsCache[releaseId] = { at: Date.now(), data: data };
+    return data;
+  } catch (e) { return null; }
+}
+
+/**
+ * Compare scraped { numForSale, lowestPrice, fetched } with the API's.
+ * Returns the figures to use (the API's wherever they drifted) and the
+ * list of drifted fields.  A null API value is not compared, and a page
+ * that was never fetched (fetched: false — blocked, rate-limited,
+ * offline) takes the API's figures without counting as drift.
+ */
+function reconcileStats(scraped, api) {
+  var out = { numForSale: scraped.numForSale || 0, lowestPrice: scraped.lowestPrice, drift: [] };
+  if (!api) return out;
+  if (scraped.fetched === false) {
+    if (api.numForSale != null) out.numForSale = api.numForSale;
+    if (api.lowestPrice != null && out.numForSale > 0) out.lowestPrice = api.lowestPrice;
+    return out;
+  }
+  if (api.numForSale != null) {
+    var diff = Math.abs(out.numForSale - api.numForSale);
+    if (diff > Math.max(2, api.numForSale * DRIFT_COUNT_TOLERANCE)) {
+      out.drift.push({ field: "numForSale", scraped: out.numForSale, api: api.numForSale });
+      out.numForSale = api.numForSale;
+    }
+  }
+  if (api.lowestPrice != null && out.numForSale > 0) {
+    var s = out.lowestPrice;
+    if (s == null || Math.abs(s - api.lowestPrice) > Math.max(1, api.lowestPrice * DRIFT_PRICE_TOLERANCE)) {
+      out.drift.push({ field: "lowestPrice", scraped: s == null ? null : s, api: api.lowestPrice });
+      out.lowestPrice = api.lowestPrice;
+    }
+  }
+  return out;
+}
+
+/**
+ * Drift log with entry added: running total plus the newest entries.
+ * The same drift seen again on the same release (every pricing pass
+ * until the scraper is fixed) only moves its entry up with the new time.
+ */
+function addDriftEntry(log, entry) {
+  var recent = (log && log.recent) || [];
+  var same = JSON.stringify(entry.fields);
+  var rest = recent.filter(function(e) {
+    return !(e.releaseId === entry.releaseId && JSON.stringify(e.fields) === same);
+  });
+  var total = ((log && log.total) || 0) + (rest.length < recent.length ? 0 : 1);
+  return { total: total, recent: [entry].concat(rest).slice(0, DRIFT_MAX_ENTRIES) };
+}
+
+async function recordScrapeDrift(releaseId, drift) {
+  if (DEBUG) console.log("[DP] scrape drift, release", releaseId, JSON.stringify(drift));
+  try {
+    var d = await chrome.storage.local.get(DRIFT_KEY);
+    var o = {};
+    o[DRIFT_KEY] = addDriftEntry(d[DRIFT_KEY], { releaseId: releaseId, at: Date.now(), fields: drift });
+    await chrome.storage.local.set(o);
+  } catch (e) { /* diagnostics only */ }
+}
+
+/**
+ * Price suggestions come back in the currency set on the user's Discogs
+ * account — convert each { currency, value } to USD like scraped prices.
+ */
+function suggestionsToUSD(suggestions, rates) {
+  var out = {};
+  var grades = Object.keys(suggestions || {});
+  for (var i = 0; i < grades.length; i++) {
+    var s = suggestions[grades[i]];
+    if (!s || s.value == null) continue;
+    var usd = convertToUSD(s.value, s.currency, rates);
+    if (usd != null) out[grades[i]] = { currency: "USD", value: usd };
+  }
+  return out;
+}
+
+async function gatherPricing(match, crossCheck) {
   var totalForSale = 0;
   var lowestPrice = null;
   var scrapedPrices = [];
+  var landedPrices = [], landedLowest = null;
   var priceSuggestions = null;
+  var fetched = false;
   var rates = await fetchExchangeRates();
 
   // Scrape the sell page for an initial count.  The popup will re-scrape
@@ -485,22 +2039,41 @@ async function gatherPricing(match, usOnly) {
 
   if (sellUrl) {
     try {
-      var spRes = await fetch(sellUrl, { headers: { "Accept": "text/html", "Accept-Language": "en-US,en;q=0.9" } });
+      var spRes = await fetch(sellUrl, {
+        headers: { "Accept": "text/html", "Accept-Language": "en-US,en;q=0.9" },
+        credentials: "include"   // postage is only quoted to a signed-in account
+      });
       if (spRes.ok) {
         var spHtml = await spRes.text();
-        var pg = parseFilteredPage(spHtml, false, false, rates);
+        var pg = parseFilteredPage(spHtml, null, null, rates);
         if (pg.total > 0) totalForSale = pg.total;
         if (pg.prices.length > 0) scrapedPrices = pg.prices;
         if (pg.lowest != null) lowestPrice = pg.lowest;
+        landedPrices = pg.landed;
+        landedLowest = pg.landedLowest;
+        fetched = true;
       }
     } catch (e) { /* scrape failed — counts stay 0 */ }
   }
 
-  // Get price suggestions (VG+, NM estimates) — only API endpoint that
-  // isn't available from the sell page HTML.
+  // Cross-check the scrape against the marketplace stats endpoint (or
+  // stand in for it when the page couldn't be fetched).  Only the first
+  // few pressings of a search are checked — each check is an API call.
+  if (match.releaseId && (crossCheck || !fetched)) {
+    var rec = reconcileStats({ numForSale: totalForSale, lowestPrice: lowestPrice, fetched: fetched },
+      await getMarketplaceStats(match.releaseId, rates));
+    totalForSale = rec.numForSale;
+    lowestPrice = rec.lowestPrice;
+    if (rec.drift.length) await recordScrapeDrift(match.releaseId, rec.drift);
+  }
+
+  // Get price suggestions (VG+, NM estimates) — not on the sell page
+  // HTML or in the marketplace stats.
   var releaseForSuggestions = match.releaseId || null;
-  if (releaseForSuggestions && totalForSale > 0)
+  if (releaseForSuggestions && totalForSale > 0) {
     priceSuggestions = await getPriceSuggestions(releaseForSuggestions);
+    if (priceSuggestions) priceSuggestions = suggestionsToUSD(priceSuggestions, rates);
+  }
 
   var medianSource = scrapedPrices.length > 0 ? scrapedPrices : [];
   medianSource.sort(function(a, b) { return a - b; });
@@ -528,10 +2101,13 @@ async function gatherPricing(match, usOnly) {
     }
   }
 
+  landedPrices.sort(function(a, b) { return a - b; });
+
   return {
     totalForSale: totalForSale, lowestPrice: lowestPrice, lowestGrade: lowestGrade,
     medianPrice: medianPrice, vgPlusPrice: vgPlusPrice, nearMintPrice: nearMintPrice,
-    scrapedPrices: scrapedPrices
+    scrapedPrices: scrapedPrices,
+    landedLowest: landedLowest, landedMedian: computeMedian(landedPrices), landedPrices: landedPrices
   };
 }
 
@@ -548,47 +2124,78 @@ function makeSellUrl(m, query) {
   return "https://www.discogs.com/search/?q=" + encodeURIComponent(query) + "&format=Vinyl";
 }
 
-async function buildResult(matches, query, usOnly) {
+async function buildResult(matches, query) {
   var totalForSale = 0, globalLowest = Infinity, globalGrade = null;
   var allPrices = [], bestVgPlus = null, bestNearMint = null;
-  var matchDetails = [];
+  var allLanded = [], landedLowest = null;
+  var matchDetails = [], pressingEntries = [];
+
+  // Only formats the user buys count toward the stats — a cheap 7"
+  // shouldn't set "Lowest price" for someone after 12"s.  If nothing
+  // passes, price everything and say so rather than show nothing.
+  var formatFilter = await getFormatFilter();
+  var wanted = matches.filter(function(m) { return !m.formatFiltered && matchesFormatFilter(m, formatFilter); });
+  var formatFilterMiss = wanted.length === 0 && formatFilterKey(formatFilter) !== "";
+  if (wanted.length) matches = wanted;
 
   for (var i = 0; i < matches.length; i++) {
     var m = matches[i];
-    var p = await gatherPricing(m, usOnly);
+    var p = await gatherPricing(m, i < MARKET_STATS_PER_SEARCH);
     totalForSale += p.totalForSale;
     if (p.lowestPrice != null) {
       if (p.lowestPrice < globalLowest) { globalLowest = p.lowestPrice; globalGrade = p.lowestGrade; }
     }
     // Use scraped per-listing prices for accurate median; fall back to API lowest+median
+    var matchPrices = [];
     if (p.scrapedPrices && p.scrapedPrices.length > 0) {
-      for (var sp = 0; sp < p.scrapedPrices.length; sp++) allPrices.push(p.scrapedPrices[sp]);
+      matchPrices = p.scrapedPrices.slice();
     } else {
-      if (p.lowestPrice != null) allPrices.push(p.lowestPrice);
-      if (p.medianPrice != null) allPrices.push(p.medianPrice);
+      if (p.lowestPrice != null) matchPrices.push(p.lowestPrice);
+      if (p.medianPrice != null) matchPrices.push(p.medianPrice);
     }
+    for (var sp = 0; sp < matchPrices.length; sp++) allPrices.push(matchPrices[sp]);
+    for (var lp = 0; lp < p.landedPrices.length; lp++) allLanded.push(p.landedPrices[lp]);
+    if (p.landedLowest != null && (landedLowest == null || p.landedLowest < landedLowest)) landedLowest = p.landedLowest;
     if (p.vgPlusPrice != null && (bestVgPlus == null || p.vgPlusPrice < bestVgPlus)) bestVgPlus = p.vgPlusPrice;
     if (p.nearMintPrice != null && (bestNearMint == null || p.nearMintPrice < bestNearMint)) bestNearMint = p.nearMintPrice;
 
+    var confidence = computeConfidence(m);
+    var pressing = classifyPressing(m);
+    pressingEntries.push({ pressing: pressing, numForSale: p.totalForSale, lowestPrice: p.lowestPrice, prices: matchPrices });
     matchDetails.push({
       masterId: m.masterId, releaseId: m.releaseId,
       title: m.title, format: m.format || null,
       artists: m.artists,
       year: m.year, thumb: m.thumb,
+      formatTags: classifyFormat(m.format),
+      pressing: pressing,
       sellUrl: makeSellUrl(m, query),
       numForSale: p.totalForSale,
       lowestPrice: p.lowestPrice,
       lowestGrade: p.lowestGrade,
       medianPrice: p.medianPrice,
-      vgPlusPrice: p.vgPlusPrice
+      landedLowest: p.landedLowest,
+      landedMedian: p.landedMedian,
+      vgPlusPrice: p.vgPlusPrice,
+      label: m.label || null, catno: m.catno || null, country: m.country || null,
+      catnoMatched: m.catnoMatched || null,
+      versionMatch: m.versionMatch != null ? m.versionMatch : null,
+      override: !!m.override,
+      confidence: confidence,
+      lowConfidence: confidence < LOW_CONFIDENCE
     });
   }
 
   // Drop versions with nothing for sale (expanded from master but no listings)
   matchDetails = matchDetails.filter(function(d) { return d.numForSale > 0; });
 
-  // Sort: cheapest first, nulls at end
+  // Sort: confident matches before doubtful ones so a wrong-but-cheap
+  // pressing can't take "Best Price"; then ones with the requested
+  // version (remix, dub…) over original-mix pressings; then cheapest
+  // first, nulls at end
   matchDetails.sort(function(a, b) {
+    if (a.lowConfidence !== b.lowConfidence) return a.lowConfidence ? 1 : -1;
+    if (!!a.versionMatch !== !!b.versionMatch) return a.versionMatch ? -1 : 1;
     if (a.lowestPrice == null && b.lowestPrice == null) return 0;
     if (a.lowestPrice == null) return 1;
     if (b.lowestPrice == null) return -1;
@@ -598,8 +2205,10 @@ async function buildResult(matches, query, usOnly) {
   if (globalLowest === Infinity) globalLowest = null;
   allPrices.sort(function(a, b) { return a - b; });
   var medianPrice = computeMedian(allPrices);
+  allLanded.sort(function(a, b) { return a - b; });
 
   var primary = matchDetails[0] || matches[0];
+  var primaryConfidence = primary.confidence != null ? primary.confidence : computeConfidence(primary);
 
   return {
     masterId: primary.masterId, releaseId: primary.releaseId,
@@ -608,41 +2217,280 @@ async function buildResult(matches, query, usOnly) {
     matchCount: matches.length, numForSale: totalForSale,
     lowestPrice: globalLowest, lowestGrade: globalGrade,
     medianPrice: medianPrice, vgPlusPrice: bestVgPlus, nearMintPrice: bestNearMint,
-    sellUrl: primary.sellUrl || makeSellUrl(primary, query), usOnly: usOnly,
+    landedLowest: landedLowest, landedMedian: computeMedian(allLanded),
+    sellUrl: primary.sellUrl || makeSellUrl(primary, query),
+    confidence: primaryConfidence, lowConfidence: primaryConfidence < LOW_CONFIDENCE,
+    catnoMatched: primary.catnoMatched || null,
+    formatFilterMiss: formatFilterMiss,
+    pressingStats: summarizePressings(pressingEntries),
     matches: matchDetails
   };
 }
 
 /* ── Main search pipeline ────────────────────────────────────── */
 
-async function findMatchingReleases(query) {
-  if (DEBUG) console.log("[DP] searching:", query);
-
-  var parsed = parseArtistTrack(query);
+async function findMatchingReleases(query, hints) {
+  if (DEBUG) console.log("[DP] searching:", query, "hints:", JSON.stringify(hints || {}));
+
+  // Catalog number / label tags in the title ("[WARP 12]") — pull them out
+  // so they don't end up in the parsed artist or track
+  var cat = parseCatalogHints(query);
+  var parsed = parseArtistTrack(cat.text);
+  var discoveryQuery = query;
+  // "Topic" uploads name track + artist exactly in the description
+  if (hints && hints.track && hints.artist) {
+    parsed = { artist: hints.artist, track: hints.track };
+    discoveryQuery = hints.artist + " - " + hints.track;
+  }
   var trackName = parsed.track || query;
   if (DEBUG) console.log("[DP] parsed → artist:", JSON.stringify(parsed.artist), "track:", JSON.stringify(trackName));
 
-  // Step 1: Google search for Discogs URLs
-  var googleResults = await googleDiscogsSearch(query);
+  // Step 0: a catalog number pins the exact pressing — skip discovery
+  var catno = (hints && hints.catno) || cat.catno;
+  if (catno) {
+    var catMatches = await findReleaseByCatno(catno, cat.label || (hints && hints.label) || null, parsed);
+    if (catMatches.length) {
+      if (DEBUG) console.log("[DP] catno", catno, "→ release", catMatches[0].releaseId);
+      catMatches[0].hintScore = 1;
+      return catMatches;
+    }
+  }
+  if (cat.catno || cat.label) {
+    hints = Object.assign({}, hints);
+    if (cat.catno && !hints.catno) hints.catno = cat.catno;
+    if (cat.label && !hints.label) hints.label = cat.label;
+  }
+
+  // Step 1: discovery providers (Google, DuckDuckGo, Bing, Discogs) in
+  // the user's order until one yields Discogs URLs
+  var candidates = await runDiscovery(discoveryQuery, parsed, hints);
 
-  if (googleResults.length === 0) {
-    if (DEBUG) console.log("[DP] No Discogs URLs found on Google");
+  if (candidates.length === 0) {
+    if (DEBUG) console.log("[DP] No Discogs URLs found");
     return [];
   }
 
-  // Step 2: Fetch details + verify track is on each release
-  var matches = await fetchDiscogsDetails(googleResults, trackName);
+  // Step 2: Fetch details + verify track and artist on each release
+  var matches = await fetchDiscogsDetails(candidates, trackName, parsed.artist);
   if (DEBUG) console.log("[DP] Verified matches:", matches.length);
 
-  // If nothing verified, retry without track filter (first Google result is usually right)
-  if (matches.length === 0 && googleResults.length > 0) {
-    if (DEBUG) console.log("[DP] No track matches — accepting first Google result as-is");
-    matches = await fetchDiscogsDetails(googleResults.slice(0, 1), "");
+  // If nothing verified, retry without track filter (first search result is
+  // usually right) — the artist check still applies
+  if (matches.length === 0 && candidates.length > 0) {
+    if (DEBUG) console.log("[DP] No track matches — accepting first search result as-is");
+    matches = await fetchDiscogsDetails(candidates.slice(0, 1), "", parsed.artist);
+  }
+
+  // Step 3: score against description hints (album, label, catno)
+  for (var i = 0; i < matches.length; i++) matches[i].hintScore = releaseHintScore(matches[i], hints);
+
+  // Pressings the description pins down first, then ones carrying the
+  // requested version, then exact artist matches ahead of partial ones
+  // (stable for equal scores)
+  matches.sort(function(a, b) {
+    var ha = a.hintScore || 0, hb = b.hintScore || 0;
+    if (ha !== hb) return hb - ha;
+    if (!!a.versionMatch !== !!b.versionMatch) return a.versionMatch ? -1 : 1;
+    var sa = a.artistScore != null ? a.artistScore : 0.5;
+    var sb = b.artistScore != null ? b.artistScore : 0.5;
+    return sb - sa;
+  });
+
+  return matches;
+}
+
+/**
+ * Full-album uploads: the title names an album, not a song, so look the
+ * album up as a master ("Artist - Album") and verify it by title or by
+ * the chapter tracklist content.js sent along in hints.tracks.
+ */
+async function findAlbumReleases(query, hints) {
+  var cat = parseCatalogHints(query);
+  var parsed = parseArtistTrack(cat.text);
+  var album = { title: parsed.track || cat.text, tracks: (hints && hints.tracks) || [] };
+  if (DEBUG) console.log("[DP] album mode → artist:", JSON.stringify(parsed.artist), "album:", JSON.stringify(album.title), "chapters:", album.tracks.length);
+
+  // Step 1: Discogs master search by artist + album title
+  var params = { type: "master", release_title: album.title, format: "Vinyl", per_page: "5" };
+  if (parsed.artist) params.artist = parsed.artist;
+  var candidates = parseDatabaseSearchResults(await discogsGet("/database/search", params));
+
+  // Step 2: the regular discovery providers
+  if (candidates.length === 0) candidates = await runDiscovery(query, parsed, hints);
+  if (candidates.length === 0) return [];
+
+  var matches = await fetchDiscogsDetails(candidates, "", parsed.artist, album);
+  for (var i = 0; i < matches.length; i++) matches[i].hintScore = releaseHintScore(matches[i], hints);
+  return matches;
+}
+
+/* ── Video → release mapping cache ───────────────────────────── */
+
+/*
+ * Discovery (web search, master/version expansion, verification) is the
+ * expensive, API-hungry part and its answer rarely changes, so the
+ * resolved matches are remembered per video for weeks.  Prices live in
+ * searchCache with their own short TTL — a repeat view only re-runs
+ * gatherPricing over the remembered matches.
+ */
+var videoMatches = {};
+var MATCH_CACHE_TTL = 21 * 24 * 60 * 60 * 1000; // 3 weeks
+var MATCH_CACHE_MAX = 500;
+
+// What identifies a match and feeds computeConfidence — no prices
+var MATCH_FIELDS = [
+  "masterId", "releaseId", "title", "format", "label", "catno", "country", "artists", "year", "thumb",
+  "rank", "trackScore", "artistScore", "fallback", "hintScore", "catnoMatched", "versionMatch",
+  "mainRelease", "masterYear", "formatFiltered"
+];
+
+function slimMatch(m) {
+  var out = {};
+  for (var i = 0; i < MATCH_FIELDS.length; i++) {
+    if (m[MATCH_FIELDS[i]] !== undefined) out[MATCH_FIELDS[i]] = m[MATCH_FIELDS[i]];
+  }
+  return out;
+}
+
+/** Drop expired entries, then the oldest ones past MATCH_CACHE_MAX. */
+function pruneVideoMatches(cache, now) {
+  var keys = Object.keys(cache);
+  for (var i = keys.length - 1; i >= 0; i--) {
+    if (now - cache[keys[i]].time > MATCH_CACHE_TTL) {
+      delete cache[keys[i]];
+      keys.splice(i, 1);
+    }
+  }
+  if (keys.length > MATCH_CACHE_MAX) {
+    keys.sort(function(a, b) { return cache[a].time - cache[b].time; });
+    for (var j = 0; j < keys.length - MATCH_CACHE_MAX; j++) delete cache[keys[j]];
+  }
+  return cache;
+}
+
+/** Remembered matches, unless stale or picked under a different format filter. */
+function getVideoMatches(videoKey, filterKey) {
+  var entry = videoKey ? videoMatches[videoKey] : null;
+  if (!entry || Date.now() - entry.time > MATCH_CACHE_TTL) return null;
+  if ((entry.filterKey || "") !== (filterKey || "")) return null;
+  return entry;
+}
+
+function rememberVideoMatches(videoKey, matches, mode, filterKey) {
+  if (!videoKey) return;
+  videoMatches[videoKey] = { matches: matches.map(slimMatch), mode: mode, filterKey: filterKey || "", time: Date.now() };
+  pruneVideoMatches(videoMatches, Date.now());
+  try {
+    chrome.storage.local.set({ videoMatches: JSON.stringify(videoMatches) });
+  } catch (e) { /* ignore */ }
+}
+
+async function restoreVideoMatches() {
+  try {
+    var d = await chrome.storage.local.get("videoMatches");
+    if (d.videoMatches) videoMatches = pruneVideoMatches(JSON.parse(d.videoMatches), Date.now());
+  } catch (e) { /* ignore */ }
+}
+restoreVideoMatches();
+
+/* ── Manual match overrides ──────────────────────────────────── */
+
+/*
+ * "Wrong record?" picks, keyed by YouTube video ID (or "videoId@seconds"
+ * for a chapter of a mix).  Stored in chrome.storage.local as a plain
+ * object with no expiry — unlike searchCache they must outlive the TTL,
+ * and the options page exports / imports the same object.
+ */
+var OVERRIDES_KEY = "matchOverrides";
+
+/**
+ * Parse a pasted Discogs release or master URL into { type, id, url }.
+ * A release wins when a URL carries both (sell pages link the master).
+ */
+function parseOverrideUrl(text) {
+  var results = [];
+  parseDiscogsUrl(String(text || "").trim(), results, {});
+  for (var i = 0; i < results.length; i++) {
+    if (results[i].type === "release") return results[i];
+  }
+  return results[0] || null;
+}
+
+async function getOverrides() {
+  try {
+    var d = await chrome.storage.local.get(OVERRIDES_KEY);
+    return d[OVERRIDES_KEY] || {};
+  } catch (e) {
+    return {};
   }
+}
+
+async function getOverride(videoKey) {
+  if (!videoKey) return null;
+  var all = await getOverrides();
+  return all[videoKey] || null;
+}
+
+async function setOverride(videoKey, url) {
+  if (!videoKey) throw new Error("No YouTube video to attach this match to.");
+  var ov = parseOverrideUrl(url);
+  if (!ov) throw new Error("Not a Discogs release or master URL.");
+  var all = await getOverrides();
+  all[videoKey] = { type: ov.type, id: ov.id, url: ov.url, time: Date.now() };
+  var d = {};
+  d[OVERRIDES_KEY] = all;
+  await chrome.storage.local.set(d);
+  if (DEBUG) console.log("[DP] override", videoKey, "→", ov.type, ov.id);
+  return all[videoKey];
+}
+
+async function clearOverride(videoKey) {
+  var all = await getOverrides();
+  if (!all[videoKey]) return;
+  delete all[videoKey];
+  var d = {};
+  d[OVERRIDES_KEY] = all;
+  await chrome.storage.local.set(d);
+}
 
+/** Matches for an override: every vinyl version of a master, or the one release. */
+async function fetchOverrideMatches(ov) {
+  var matches = [];
+  if (ov.type === "master") {
+    var master = await discogsGet("/masters/" + ov.id);
+    if (master) matches = await expandMasterVersions(master, ov.id, {});
+  } else {
+    var rel = await discogsGet("/releases/" + ov.id);
+    if (rel) matches = [releaseToMatch(rel)];
+  }
+  for (var i = 0; i < matches.length; i++) matches[i].override = true;
   return matches;
 }
 
+/**
+ * Candidate list for the "Wrong record?" picker — plain /database/search
+ * on whatever the user typed, masters and releases only.
+ */
+function summarizeSearchResults(data) {
+  var list = (data && data.results) ? data.results : [];
+  var out = [];
+  for (var i = 0; i < list.length && out.length < 10; i++) {
+    var r = list[i];
+    if (r.type !== "master" && r.type !== "release") continue;
+    out.push({
+      type: r.type, id: r.id, title: r.title || "",
+      year: r.year || null, thumb: r.thumb || null,
+      url: r.uri ? "https://www.discogs.com" + r.uri : "https://www.discogs.com/" + r.type + "/" + r.id
+    });
+  }
+  return out;
+}
+
+async function handleOverrideSearch(q) {
+  var data = await discogsGet("/database/search", { q: q, format: "Vinyl", per_page: "15" });
+  return summarizeSearchResults(data);
+}
+
 /* ── Handlers ────────────────────────────────────────────────── */
 
 var searchCache = {};
@@ -695,21 +2543,62 @@ function pruneCache() {
   }
 }
 
-async function handleFullSearch(query) {
-  var cached = searchCache[query];
+/** Album-mode lookups resolve differently from track lookups of the same title. */
+function searchCacheKey(query, hints) {
+  return (hints && hints.mode === "album" ? "album:" : "") + query;
+}
+
+/** Overridden videos cache by the chosen release, not by title. */
+function overrideCacheKey(ov) {
+  return "override:" + ov.type + ":" + ov.id;
+}
+
+/** Price-cache key: the overriding release or the title, plus the format filter. */
+function resultCacheKey(query, hints, override, filterKey) {
+  var key = override ? overrideCacheKey(override) : searchCacheKey(query, hints);
+  return filterKey ? key + "#" + filterKey : key;
+}
+
+async function handleFullSearch(query, hints, videoKey) {
+  var override = await getOverride(videoKey);
+  var filterKey = formatFilterKey(await getFormatFilter());
+  var key = resultCacheKey(query, hints, override, filterKey);
+  var cached = searchCache[key];
   if (cached && (Date.now() - cached.time) < CACHE_TTL) {
-    if (DEBUG) console.log("[DP] cache hit for:", query);
+    if (DEBUG) console.log("[DP] cache hit for:", key);
     return cached.data;
   }
 
-  var matches = await findMatchingReleases(query);
-  if (!matches.length) throw new Error("No Discogs results found for this title.");
+  var matches = [];
+  var mode = "track";
+  var known = override ? null : getVideoMatches(videoKey, filterKey);
+  if (override) {
+    // The user already told us which record this is — skip discovery
+    matches = await fetchOverrideMatches(override);
+    if (!matches.length) throw new Error("The Discogs release chosen for this video could not be loaded.");
+  } else if (known) {
+    // Seen this video before — only the prices need refreshing
+    if (DEBUG) console.log("[DP] known video:", videoKey, "→", known.matches.length, "matches");
+    matches = known.matches.map(function(m) { return Object.assign({}, m); });
+    mode = known.mode;
+  } else {
+    if (hints && hints.mode === "album") {
+      matches = await findAlbumReleases(query, hints);
+      if (matches.length) mode = "album";
+    }
+    // Not an album after all (or not on Discogs as one) — treat it as a track
+    if (!matches.length) matches = await findMatchingReleases(query, hints);
+    if (!matches.length) throw new Error("No Discogs results found for this title.");
+    rememberVideoMatches(videoKey, matches, mode, filterKey);
+  }
 
-  var g = await buildResult(matches, query, false);
+  var g = await buildResult(matches, query);
+  g.mode = mode;
+  g.override = override ? { type: override.type, id: override.id, url: override.url } : null;
   var result = { global: g };
 
   pruneCache();
-  searchCache[query] = { data: result, time: Date.now() };
+  searchCache[key] = { data: result, time: Date.now() };
   persistCache();
   return result;
 }
@@ -728,14 +2617,61 @@ var GRADE_RANK = {
   "Poor (P)": 8
 };
 
-function isVGPlusOrBetter(grade) {
-  var rank = GRADE_RANK[grade];
-  return rank != null && rank <= 3;
+/**
+ * Rank of a media or sleeve grade, given as the full Discogs name or its
+ * abbreviation ("VG+", "NM"); null for ungraded sleeves ("Generic",
+ * "No Cover", "Not Graded").
+ */
+function gradeRank(grade) {
+  if (!grade) return null;
+  if (GRADE_RANK[grade] != null) return GRADE_RANK[grade];
+  var abbr = grade === "NM" || grade === "M-" ? "NM-" : grade;
+  for (var full in GRADE_ABBR) {
+    if (GRADE_ABBR[full] === abbr) return GRADE_RANK[full];
+  }
+  return null;
+}
+
+/** Is grade at least minGrade?  No (or an unknown) minimum passes everything. */
+function meetsGrade(grade, minGrade) {
+  var min = gradeRank(minGrade);
+  if (min == null) return true;
+  var rank = gradeRank(grade);
+  return rank != null && rank <= min;
+}
+
+/** Does a listing's "Ships From:" text name one of the chosen countries? */
+function shipsFromMatches(text, shipsFrom) {
+  var country = (text || "").trim().toLowerCase();
+  for (var i = 0; i < shipsFrom.length; i++) {
+    if (shipsFrom[i].toLowerCase() === country) return true;
+  }
+  return false;
+}
+
+/**
+ * Shipping cost in USD quoted in a sell-page listing block — "+$6.00",
+ * "+€5.00 shipping", "shipping $25" — or 0 for free shipping; null when
+ * the page shows none (e.g. the seller doesn't ship to you).
+ */
+function parseShipping(block, rates) {
+  if (/free\s+shipping/i.test(block)) return 0;
+  var m = block.match(/\+(CA\$|A\$|R\$|MX\$|[$€£¥])\s*([\d,.]+)/) ||
+          block.match(/shipping\s*:?\s*(CA\$|A\$|R\$|MX\$|[$€£¥])\s*([\d,.]+)/i);
+  if (!m) return null;
+  var amount = parseFloat(m[2].replace(/,/g, ""));
+  if (isNaN(amount)) return null;
+  var code = ({ "$": "USD", "CA$": "CAD", "A$": "AUD" })[m[1]] || SYMBOL_TO_CODE[m[1]];
+  return convertToUSD(amount, code, rates);
 }
 
 /**
  * Scrape a Discogs sell page and filter listings by condition and/or
- * shipping country, directly from the HTML.
+ * shipping country, directly from the HTML.  shipsFrom is a list of
+ * Discogs country names ("United Kingdom", "Germany"…); empty or null
+ * means worldwide.  minGrade is { media, sleeve } — the worst acceptable
+ * grade for each (null = any); a listing with an ungraded sleeve fails
+ * any sleeve minimum.
  *
  * Discogs sell-page URL params like ships_from= and condition= do NOT
  * reliably filter the server-rendered HTML — they're applied client-side
@@ -743,7 +2679,8 @@ function isVGPlusOrBetter(grade) {
  *
  * Strategy: ONE fetch (sorted price-asc), split at each "Media Condition"
  * marker.  For each listing block, extract:
- *   - condition grade (Mint, NM, VG+, VG, G+, G, F, P)
+ *   - media condition grade (Mint, NM, VG+, VG, G+, G, F, P)
+ *   - sleeve condition grade (same, or Generic / No Cover / Not Graded)
  *   - "Ships From: Country" text
  * Then count/price only listings matching the requested filters.
  *
@@ -753,7 +2690,10 @@ function isVGPlusOrBetter(grade) {
  * item is on page 1 (unless ALL page-1 items fail the filter, which is
  * uncommon).
  */
-function parseFilteredPage(html, usOnly, vgPlus, rates) {
+function parseFilteredPage(html, shipsFrom, minGrade, rates) {
+  var minMedia  = minGrade ? minGrade.media : null;
+  var minSleeve = minGrade ? minGrade.sleeve : null;
+
   /* ── Total count from pagination header ── */
   var total = 0;
   var hasPagination = false;
@@ -774,6 +2714,8 @@ function parseFilteredPage(html, usOnly, vgPlus, rates) {
   var matched = 0;
   var prices = [];
   var lowest = null;
+  var landed = [];
+  var landedLowest = null;
 
   for (var li = 1; li < parts.length; li++) {
     var block = parts[li];
@@ -795,17 +2737,18 @@ function parseFilteredPage(html, usOnly, vgPlus, rates) {
 
     listingsOnPage++;
 
-    // ── Check VG+ filter ──
-    if (vgPlus) {
-      if (!isVGPlusOrBetter(condMatch[1])) continue;
+    // ── Check minimum media / sleeve grade ──
+    if (!meetsGrade(condMatch[1], minMedia)) continue;
+    if (minSleeve) {
+      // Discogs prints the full name; some pages only the abbreviation
+      var sleeveMatch = block.match(/Sleeve\s+Condition\s*:\s*(?:<[^>]*>\s*)*(Mint \(M\)|Near Mint \(NM or M-\)|Very Good Plus \(VG\+\)|Very Good \(VG\)|Good Plus \(G\+\)|Good \(G\)|Fair \(F\)|Poor \(P\)|Generic|No Cover|Not Graded|NM|M-|VG\+|VG|G\+|M|G|F|P)(?![\w+])/);
+      if (!sleeveMatch || !meetsGrade(sleeveMatch[1], minSleeve)) continue;
     }
 
-    // ── Check US filter ──
-    if (usOnly) {
-      var shipMatch = block.match(/Ships\s+From:\s*(?:<[^>]*>\s*)*([A-Za-z\s]+)/i);
-      if (!shipMatch) continue;
-      var country = shipMatch[1].trim();
-      if (!/United States/i.test(country)) continue;
+    // ── Check ships-from filter ──
+    if (shipsFrom && shipsFrom.length) {
+      var shipMatch = block.match(/Ships\s+From:\s*(?:<[^>]*>\s*)*([^<\r\n]+)/i);
+      if (!shipMatch || !shipsFromMatches(shipMatch[1], shipsFrom)) continue;
     }
 
     matched++;
@@ -814,6 +2757,7 @@ function parseFilteredPage(html, usOnly, vgPlus, rates) {
     var priceRegex = /(\+)?(?:about\s+)?\$([\d,.]+)/g;
     var pm;
     var foundDirect = false;
+    var itemPrice = null;
     while ((pm = priceRegex.exec(block)) !== null) {
       if (pm[1] === "+") continue;                    // +$6 shipping
       if (pm[0].indexOf("about") >= 0) continue;       // about $60
@@ -825,6 +2769,7 @@ function parseFilteredPage(html, usOnly, vgPlus, rates) {
       if (!isNaN(val) && val > 0) {
         prices.push(val);
         if (lowest == null || val < lowest) lowest = val;
+        itemPrice = val;
         foundDirect = true;
         break; // first valid price in this listing block
       }
@@ -855,10 +2800,19 @@ function parseFilteredPage(html, usOnly, vgPlus, rates) {
         if (usd != null && usd > 0) {
           prices.push(usd);
           if (lowest == null || usd < lowest) lowest = usd;
+          itemPrice = usd;
           break; // first valid foreign price in this block
         }
       }
     }
+
+    // Landed cost — only for listings whose postage the page quotes
+    var ship = itemPrice != null ? parseShipping(block, rates) : null;
+    if (ship != null) {
+      var landedPrice = Math.round((itemPrice + ship) * 100) / 100;
+      landed.push(landedPrice);
+      if (landedLowest == null || landedPrice < landedLowest) landedLowest = landedPrice;
+    }
   }
 
   // When no pagination header was found, use listingsOnPage as the total.
@@ -876,22 +2830,30 @@ function parseFilteredPage(html, usOnly, vgPlus, rates) {
     if (matched > total) matched = total;
   }
 
-  if (DEBUG) console.log("[DP] parseFilteredPage → total:", total, "listingsOnPage:", listingsOnPage, "matched:", matched, "prices:", prices, "vgPlus:", vgPlus, "usOnly:", usOnly);
+  if (DEBUG) console.log("[DP] parseFilteredPage → total:", total, "listingsOnPage:", listingsOnPage, "matched:", matched, "prices:", prices, "minGrade:", minGrade, "shipsFrom:", shipsFrom);
 
-  return { total: total, listingsOnPage: listingsOnPage, matched: matched, prices: prices, lowest: lowest };
+  return {
+    total: total, listingsOnPage: listingsOnPage, matched: matched, prices: prices, lowest: lowest,
+    landed: landed, landedLowest: landedLowest
+  };
 }
 
 var MAX_SCRAPE_PAGES = 2;
 
-async function scrapeFilteredListings(sellUrl, usOnly, vgPlus) {
+// Scrape result when the first page never came back
+var SCRAPE_FAILED = { fetched: false, numForSale: 0, scrapedTotal: 0, lowestPrice: null, medianPrice: null };
+
+async function scrapeFilteredListings(sellUrl, shipsFrom, minGrade) {
   try {
-    if (DEBUG) console.log("[DP] filtered scrape:", sellUrl, "usOnly:", usOnly, "vgPlus:", vgPlus);
+    if (DEBUG) console.log("[DP] filtered scrape:", sellUrl, "shipsFrom:", shipsFrom, "minGrade:", minGrade);
 
     var allPrices = [];
+    var allLanded = [];
     var allMatched = 0;
     var totalListings = 0;
     var totalOnPages = 0;
     var lowestPrice = null;
+    var landedLowest = null;
     var rates = await fetchExchangeRates();
 
     for (var page = 1; page <= MAX_SCRAPE_PAGES; page++) {
@@ -902,22 +2864,28 @@ async function scrapeFilteredListings(sellUrl, usOnly, vgPlus) {
       }
 
       var res = await fetch(pageUrl, {
-        headers: { "Accept": "text/html", "Accept-Language": "en-US,en;q=0.9" }
+        headers: { "Accept": "text/html", "Accept-Language": "en-US,en;q=0.9" },
+        credentials: "include"   // signed in, Discogs quotes postage to the account's country
       });
-      if (!res.ok) break;
+      if (!res.ok) {
+        if (page === 1) return Object.assign({}, SCRAPE_FAILED);
+        break;
+      }
       var html = await res.text();
 
-      var pg = parseFilteredPage(html, usOnly, vgPlus, rates);
+      var pg = parseFilteredPage(html, shipsFrom, minGrade, rates);
 
       if (page === 1) {
         totalListings = pg.total;
-        if (totalListings === 0) return { numForSale: 0, lowestPrice: null, medianPrice: null };
+        if (totalListings === 0) return { fetched: true, numForSale: 0, scrapedTotal: 0, lowestPrice: null, medianPrice: null };
       }
 
       totalOnPages += pg.listingsOnPage;
       allMatched += pg.matched;
       for (var pi = 0; pi < pg.prices.length; pi++) allPrices.push(pg.prices[pi]);
       if (pg.lowest != null && (lowestPrice == null || pg.lowest < lowestPrice)) lowestPrice = pg.lowest;
+      for (var li = 0; li < pg.landed.length; li++) allLanded.push(pg.landed[li]);
+      if (pg.landedLowest != null && (landedLowest == null || pg.landedLowest < landedLowest)) landedLowest = pg.landedLowest;
 
       // Stop if this page wasn't full (no more pages) or we've seen all listings
       if (pg.listingsOnPage < 25 || totalOnPages >= totalListings) break;
@@ -926,6 +2894,8 @@ async function scrapeFilteredListings(sellUrl, usOnly, vgPlus) {
     /* ── Compute median from all matched prices ── */
     allPrices.sort(function(a, b) { return a - b; });
     var medianPrice = computeMedian(allPrices);
+    allLanded.sort(function(a, b) { return a - b; });
+    var landedMedian = computeMedian(allLanded);
 
     /* ── Extrapolate for paginated results beyond fetched pages ── */
     var matchedCount = allMatched;
@@ -934,28 +2904,38 @@ async function scrapeFilteredListings(sellUrl, usOnly, vgPlus) {
     }
 
     if (DEBUG) console.log("[DP] filtered scrape:", allMatched, "/", totalOnPages, "on", page - 1, "page(s) →", matchedCount, "of", totalListings, "total, lowest:", lowestPrice, "median:", medianPrice);
-    return { numForSale: matchedCount, scrapedTotal: totalListings, lowestPrice: lowestPrice, medianPrice: medianPrice };
+    return {
+      fetched: true,
+      numForSale: matchedCount, scrapedTotal: totalListings, lowestPrice: lowestPrice, medianPrice: medianPrice,
+      landedLowest: landedLowest, landedMedian: landedMedian
+    };
   } catch (e) {
     console.error("[DP] filtered scrape error:", e);
-    return { numForSale: 0, scrapedTotal: 0, lowestPrice: null, medianPrice: null };
+    return Object.assign({}, SCRAPE_FAILED);
   }
 }
 
-function buildFilteredUrl(baseUrl, usOnly) {
+// Discogs' ships_from= takes one country, so a multi-country filter
+// links to the unfiltered page (the scrape still filters per listing)
+function buildFilteredUrl(baseUrl, shipsFrom) {
   var url = baseUrl;
-  if (usOnly) {
+  if (shipsFrom && shipsFrom.length === 1) {
     var sep = url.indexOf("?") >= 0 ? "&" : "?";
-    url += sep + "ships_from=United+States";
+    url += sep + "ships_from=" + encodeURIComponent(shipsFrom[0]).replace(/%20/g, "+");
   }
   return url;
 }
 
-async function handleFilteredStats(matches, usOnly, vgPlus) {
+async function handleFilteredStats(matches, shipsFrom, minGrade) {
   var totalForSale = 0;
   var scrapedTotal = 0;
   var allLowest = Infinity;
   var allMedians = [];
+  var landedLowest = null;
+  var landedMedians = [];
   var matchStats = [];
+  var rates = await fetchExchangeRates();
+  var unfiltered = !(shipsFrom && shipsFrom.length) && !(minGrade && (minGrade.media || minGrade.sleeve));
 
   for (var i = 0; i < matches.length; i++) {
     var m = matches[i];
@@ -968,24 +2948,50 @@ async function handleFilteredStats(matches, usOnly, vgPlus) {
 
     // Always parse per-listing HTML — URL params (ships_from, condition)
     // are NOT reliably applied to server-rendered HTML by Discogs
-    var stats = await scrapeFilteredListings(sortedUrl, usOnly, vgPlus);
+    var stats = await scrapeFilteredListings(sortedUrl, shipsFrom, minGrade);
+
+    // Cross-check against the marketplace stats the search already
+    // fetched (no new API calls).  Filtered, only the page's (unfiltered)
+    // listing total is comparable.  A page that never came back takes the
+    // API's figures without logging drift.
+    var api = m.releaseId ? await getMarketplaceStats(m.releaseId, rates, true) : null;
+    if (api) {
+      var rec = unfiltered
+        ? reconcileStats(stats, api)
+        : reconcileStats({ numForSale: stats.scrapedTotal, fetched: stats.fetched }, { numForSale: api.numForSale, lowestPrice: null });
+      if (unfiltered) {
+        stats.numForSale = rec.numForSale;
+        stats.lowestPrice = rec.lowestPrice;
+      }
+      stats.scrapedTotal = rec.numForSale;
+      if (rec.drift.length) await recordScrapeDrift(m.releaseId, rec.drift);
+    }
 
     totalForSale += stats.numForSale;
     scrapedTotal += stats.scrapedTotal;
     if (stats.lowestPrice != null && stats.lowestPrice < allLowest) allLowest = stats.lowestPrice;
     if (stats.medianPrice != null) allMedians.push(stats.medianPrice);
-    matchStats.push({ numForSale: stats.numForSale, scrapedTotal: stats.scrapedTotal, lowestPrice: stats.lowestPrice, medianPrice: stats.medianPrice });
+    if (stats.landedLowest != null && (landedLowest == null || stats.landedLowest < landedLowest)) landedLowest = stats.landedLowest;
+    if (stats.landedMedian != null) landedMedians.push(stats.landedMedian);
+    matchStats.push({
+      numForSale: stats.numForSale, scrapedTotal: stats.scrapedTotal, lowestPrice: stats.lowestPrice, medianPrice: stats.medianPrice,
+      landedLowest: stats.landedLowest != null ? stats.landedLowest : null,
+      landedMedian: stats.landedMedian != null ? stats.landedMedian : null
+    });
   }
 
   if (allLowest === Infinity) allLowest = null;
   allMedians.sort(function(a, b) { return a - b; });
   var overallMedian = computeMedian(allMedians);
+  landedMedians.sort(function(a, b) { return a - b; });
 
   return {
     numForSale: totalForSale,
     scrapedTotal: scrapedTotal,
     lowestPrice: allLowest,
     medianPrice: overallMedian,
+    landedLowest: landedLowest,
+    landedMedian: computeMedian(landedMedians),
     matchStats: matchStats
   };
 }
@@ -996,7 +3002,8 @@ chrome.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
   if (DEBUG) console.log("[DP] message:", msg.type);
 
   if (msg.type === "discogs-full-search") {
-    handleFullSearch(msg.query)
+    handleFullSearch(msg.query, msg.hints, msg.videoKey)
+      .then(withLibrary)
       .then(function(data) { sendResponse({ data: data }); })
       .catch(function(err) {
         console.error("[DP] error:", err);
@@ -1006,22 +3013,100 @@ chrome.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
   }
 
   if (msg.type === "discogs-cache-check") {
-    var cached = searchCache[msg.query];
-    if (cached) {
-      sendResponse({ data: cached.data, stale: (Date.now() - cached.time) > CACHE_TTL });
-    } else {
-      sendResponse({ data: null });
-    }
+    Promise.all([getOverride(msg.videoKey), getFormatFilter()]).then(function(r) {
+      var cached = searchCache[resultCacheKey(msg.query, msg.hints, r[0], formatFilterKey(r[1]))];
+      if (!cached) return { data: null };
+      return withLibrary(cached.data).then(function(data) {
+        return { data: data, stale: (Date.now() - cached.time) > CACHE_TTL };
+      });
+    })
+      .then(function(res) { sendResponse(res); })
+      .catch(function() { sendResponse({ data: null }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-set-override") {
+    setOverride(msg.videoKey, msg.url)
+      .then(function(ov) { sendResponse({ data: ov }); })
+      .catch(function(err) { sendResponse({ error: err.message }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-clear-override") {
+    clearOverride(msg.videoKey)
+      .then(function() { sendResponse({ data: true }); })
+      .catch(function(err) { sendResponse({ error: err.message }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-override-search") {
+    handleOverrideSearch(msg.query)
+      .then(function(data) { sendResponse({ data: data }); })
+      .catch(function(err) { sendResponse({ error: err.message }); });
     return true;
   }
 
   if (msg.type === "discogs-filtered-stats") {
-    handleFilteredStats(msg.matches, msg.usOnly, msg.vgPlus)
+    handleFilteredStats(msg.matches, msg.shipsFrom, msg.minGrade)
       .then(function(data) { sendResponse({ data: data }); })
       .catch(function(err) { sendResponse({ error: err.message }); });
     return true;
   }
 
+  if (msg.type === "discogs-currency") {
+    getDisplayCurrency()
+      .then(function(data) { sendResponse({ data: data }); })
+      .catch(function() { sendResponse({ data: { code: "USD", rate: 1 } }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-identity") {
+    fetchIdentity(msg.token)
+      .then(function(data) { sendResponse({ data: data }); })
+      .catch(function(e) { sendResponse({ error: e.message }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-add-want") {
+    addToWantlist(msg.releaseId, msg.masterId, msg.notes, msg.rating)
+      .then(function() { sendResponse({ ok: true }); })
+      .catch(function(e) { sendResponse({ error: e.message }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-add-collection") {
+    addToCollection(msg.releaseId, msg.masterId, msg.folderId)
+      .then(function() { sendResponse({ ok: true }); })
+      .catch(function(e) { sendResponse({ error: e.message }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-collection-folders") {
+    getCollectionFolders()
+      .then(function(data) { sendResponse({ data: data }); })
+      .catch(function(e) { sendResponse({ error: e.message }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-oauth-available") {
+    getOAuthConsumer()
+      .then(function(app) { sendResponse({ data: !!app, builtIn: !!(OAUTH_CONSUMER_KEY && OAUTH_CONSUMER_SECRET) }); })
+      .catch(function() { sendResponse({ data: false }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-oauth-signin") {
+    oauthSignIn()
+      .then(function() { sendResponse({ ok: true }); })
+      .catch(function(e) { sendResponse({ error: e.message }); });
+    return true;
+  }
+
+  if (msg.type === "discogs-oauth-signout") {
+    chrome.storage.sync.remove("discogsOAuth", function() { sendResponse({ ok: true }); });
+    return true;
+  }
+
   if (msg.type === "open-options") {
     chrome.runtime.openOptionsPage();
   }
@@ -1,12 +1,19 @@
 /*  content.js — Discogs Preview content script
- *  Runs on youtube.com. Detects video changes, extracts the title,
- *  asks the background worker for Discogs data, and renders a panel.
+ *  Runs on youtube.com. Detects video changes, extracts the title and
+ *  description hints, asks the background worker for Discogs data, and
+ *  renders a panel.
  */
 
 /* ── state ───────────────────────────────────────────────────── */
 let currentVideoId = null;
 let panelEl        = null;
-let usOnly         = false;
+let shipsOn        = false;
+let shipsFrom      = { countries: ['United States'], label: 'US' };  // set on the settings page
+let displayCurrency = { code: 'USD', rate: 1 };  // prices arrive in USD; rate is per dollar
+let videoMode      = 'track';   // 'track' | 'album' | 'mix'
+let chapters       = [];
+let chapterIdx     = -1;
+let searchSeq      = 0;         // drops responses for a chapter we've moved past
 
 /** Guard: check if the extension context is still valid. */
 function isExtensionAlive() {
@@ -27,6 +34,193 @@ function cleanTitle(raw) {
     .trim();
 }
 
+/* ── description hints ───────────────────────────────────────── */
+
+/** Full text of the video description (YouTube keeps it in the DOM even when collapsed). */
+function readDescription() {
+  const el = document.querySelector('ytd-watch-metadata #description-inline-expander')
+          || document.querySelector('#description-inline-expander')
+          || document.querySelector('#description');
+  return el ? el.textContent : '';
+}
+
+/**
+ * Pull structured release hints out of a video description.
+ * Auto-generated "Topic" uploads follow a fixed layout:
+ *
+ *   Provided to YouTube by Warp Records
+ *
+ *   Windowlicker · Aphex Twin
+ *
+ *   Windowlicker
+ *
+ *   ℗ 1999 Warp Records
+ *
+ * Vinyl rips often add a "Cat#: WARP 12" or "Label: …" line instead.
+ * Returns { provider, track, artist, album, label, year, catno } with
+ * only the keys that were found.
+ */
+function parseDescriptionHints(desc) {
+  const hints = {};
+  if (!desc) return hints;
+  const lines = desc.split(/\r?\n/).map((l) => l.trim());
+
+  const provIdx = lines.findIndex((l) => /^Provided to YouTube by\s+/i.test(l));
+  if (provIdx >= 0) {
+    hints.provider = lines[provIdx].replace(/^Provided to YouTube by\s+/i, '').trim();
+    const rest = lines.slice(provIdx + 1).filter(Boolean);
+    if (rest[0] && rest[0].includes(' · ')) {
+      const parts = rest[0].split(' · ').map((p) => p.trim());
+      hints.track  = parts[0];
+      hints.artist = parts[1];
+      if (rest[1] && !/^[℗©]|^Released on:/i.test(rest[1])) hints.album = rest[1];
+    }
+  }
+
+  const phono = desc.match(/℗\s*(\d{4})\s+([^\n]+)/);
+  if (phono) {
+    hints.year  = parseInt(phono[1], 10);
+    hints.label = phono[2].trim();
+  }
+  const released = desc.match(/Released on:\s*(\d{4})/i);
+  if (released) hints.year = parseInt(released[1], 10);
+
+  if (!hints.label) {
+    const label = desc.match(/^\s*Label\s*:\s*([^\n]+)/im);
+    if (label) hints.label = label[1].trim();
+  }
+
+  /* the label is any case, the number itself is capitals and digits —
+     "Catalogue: available on vinyl" names none */
+  const cat = desc.match(/\bcat(?:alog(?:ue)?)?\.?\s*(?:no\.?|number|#)?\s*[:#]\s*([^\n]+)/i);
+  const catno = cat && cat[1].match(/^[A-Z0-9][A-Z0-9 .\-/]{0,18}[A-Z0-9]/);
+  if (catno && /\d/.test(catno[0])) hints.catno = catno[0].trim();
+
+  return hints;
+}
+
+/* ── chapters & album / mix detection ────────────────────────── */
+
+/**
+ * Parse a timestamped tracklist out of a description.  Handles
+ * "00:00 Track", "1. 03:45 - Artist - Track", "[1:02:30] Track" and
+ * "Track 03:45".  Returns [{ start: seconds, title }] in time order, or
+ * [] when there are fewer than three entries (not a tracklist).
+ */
+function parseChapters(desc) {
+  const out = [];
+  if (!desc) return out;
+  const toSec = (ts) => ts.split(':').reduce((acc, n) => acc * 60 + parseInt(n, 10), 0);
+  const tsFirst = /^\s*(?:\d+[.)]\s*)?[\[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*[-–—:|.]?\s*(.+)$/;
+  const tsLast  = /^\s*(?:\d+[.)]\s*)?(.+?)\s*[-–—|]?\s*[\[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*$/;
+
+  for (const line of desc.split(/\r?\n/)) {
+    let m = line.match(tsFirst);
+    let start, title;
+    if (m) { start = toSec(m[1]); title = m[2]; }
+    else if ((m = line.match(tsLast))) { start = toSec(m[2]); title = m[1]; }
+    else continue;
+    title = title.replace(/^\d+[.)]\s*/, '').trim();
+    if (title) out.push({ start, title });
+  }
+
+  out.sort((a, b) => a.start - b.start);
+  return out.length >= 3 ? out : [];
+}
+
+/** Chapters rendered by YouTube's player UI (used when the description has none). */
+function readDomChapters() {
+  const items = document.querySelectorAll('ytd-macro-markers-list-item-renderer');
+  const text = Array.from(items).map((el) => {
+    const time  = el.querySelector('#time')?.textContent.trim();
+    const title = el.querySelector('h4')?.textContent.trim();
+    return time && title ? `${time} ${title}` : '';
+  }).join('\n');
+  return parseChapters(text);
+}
+
+const MIX_RE = /\b(dj[\s-]*(set|mix)|mix\s*tape|mixtape|boiler\s*room|live\s*set|essential\s*mix|megamix|continuous\s*mix)\b/i;
+
+// Chapters of one artist only make an album when they run this long (or
+// the title says album) — a single can be chaptered Intro / Verse / Chorus
+const ALBUM_MIN_SPAN = 12 * 60;
+
+/**
+ * 'album' — full-album upload (title says so, or long chapters from one artist)
+ * 'mix'   — DJ mix / compilation: chapters credit several artists
+ * 'track' — everything else
+ */
+function detectVideoMode(rawTitle, chapters) {
+  if (/full\s*(album|lp|ep)\b/i.test(rawTitle)) return 'album';
+  if (chapters.length < 3) return 'track';
+  if (MIX_RE.test(rawTitle)) return 'mix';
+  const artists = new Set();
+  for (const c of chapters) {
+    const parts = c.title.split(/\s+[-–—]\s+/);
+    if (parts.length > 1) artists.add(parts[0].trim().toLowerCase());
+  }
+  if (artists.size >= 3) return 'mix';
+  const albumLike = /\b(album|lp|ep)\b/i.test(rawTitle) || chapters[chapters.length - 1].start >= ALBUM_MIN_SPAN;
+  return albumLike ? 'album' : 'track';
+}
+
+/** Index of the chapter playing at time t (seconds). */
+function chapterAt(chapters, t) {
+  let idx = -1;
+  for (let i = 0; i < chapters.length; i++) {
+    if (chapters[i].start <= t) idx = i;
+    else break;
+  }
+  return idx;
+}
+
+/**
+ * Everything the background needs to search for what's on screen:
+ * the cleaned title plus description hints, or — in mix mode — the
+ * chapter currently playing.  Only reads the page; the panel adopts the
+ * chapters and mode with applySearchContext().
+ */
+function readSearchContext() {
+  const titleEl =
+    document.querySelector('h1.ytd-watch-metadata yt-formatted-string') ||
+    document.querySelector('#title h1 yt-formatted-string');
+  if (!titleEl) return null;
+
+  const rawTitle = titleEl.textContent;
+  const desc     = readDescription();
+  let query      = cleanTitle(rawTitle);
+  let hints      = parseDescriptionHints(desc);
+  let chapter    = null;
+  let idx        = -1;
+
+  let list = parseChapters(desc);
+  if (!list.length) list = readDomChapters();
+  const mode = detectVideoMode(rawTitle, list);
+
+  if (mode === 'album') {
+    hints.mode   = 'album';
+    hints.tracks = list.map((c) => c.title);
+  } else if (mode === 'mix') {
+    const video = document.querySelector('video');
+    idx         = chapterAt(list, video ? video.currentTime : 0);
+    chapter     = list[Math.max(idx, 0)];
+    query       = cleanTitle(chapter.title);
+    hints       = {};  // the description describes the mix, not this track
+  }
+
+  /* overrides are per video — per chapter when it's a mix */
+  const videoKey = chapter ? `${currentVideoId}@${chapter.start}` : currentVideoId;
+
+  return query ? { query, hints, chapter, videoKey, mode, chapters: list, chapterIdx: idx } : null;
+}
+
+/** Track the context's chapters so the panel follows a mix as it plays. */
+function applySearchContext(ctx) {
+  chapters   = ctx.chapters;
+  videoMode  = ctx.mode;
+  chapterIdx = ctx.chapterIdx;
+}
+
 /* ── panel creation ──────────────────────────────────────────── */
 
 function ensurePanel() {
@@ -44,9 +238,9 @@ function ensurePanel() {
         <circle cx="24" cy="24" r="15" stroke="#00e676" stroke-width="1" fill="none" opacity="0.4"/>
       </svg>
       <span class="dcgp-brand">Discogs Preview</span>
-      <div class="dcgp-toggle-wrap" title="Show US releases only">
+      <div class="dcgp-toggle-wrap" title="Only count copies shipping from the countries chosen in settings">
         <label class="dcgp-switch">
-          <input type="checkbox" id="dcgp-us-toggle">
+          <input type="checkbox" id="dcgp-ships-toggle">
           <span class="dcgp-slider"></span>
         </label>
         <span class="dcgp-toggle-label">US Only</span>
@@ -71,20 +265,29 @@ function ensurePanel() {
     document.body.appendChild(panelEl);
   }
 
-  /* US-only toggle handler */
-  const toggle = panelEl.querySelector('#dcgp-us-toggle');
+  /* ships-from toggle handler (usOnly: the setting before countries could be picked) */
+  const toggle = panelEl.querySelector('#dcgp-ships-toggle');
   if (isExtensionAlive()) {
-    chrome.storage.sync.get('usOnly', (d) => {
+    chrome.storage.sync.get(['shipsFrom', 'shipsFromOn', 'usOnly'], (d) => {
       if (chrome.runtime.lastError) return;
-      usOnly         = !!d.usOnly;
-      toggle.checked = usOnly;
+      if (d.shipsFrom?.countries?.length) shipsFrom = d.shipsFrom;
+      shipsOn        = !!(d.shipsFromOn ?? d.usOnly);
+      toggle.checked = shipsOn;
+      panelEl.querySelector('.dcgp-toggle-label').textContent = `${shipsFrom.label} Only`;
+    });
+  }
+
+  if (isExtensionAlive()) {
+    chrome.runtime.sendMessage({ type: 'discogs-currency' }, (res) => {
+      if (chrome.runtime.lastError) return;
+      if (res?.data) displayCurrency = res.data;
     });
   }
 
   toggle.addEventListener('change', () => {
-    usOnly = toggle.checked;
+    shipsOn = toggle.checked;
     if (isExtensionAlive()) {
-      chrome.storage.sync.set({ usOnly });
+      chrome.storage.sync.set({ shipsFromOn: shipsOn });
       runSearch();
     }
   });
@@ -103,12 +306,12 @@ function showLoading() {
     </div>`;
 }
 
-function showError(msg) {
+function showError(msg, videoKey) {
   const body = panelEl.querySelector('.dcgp-body');
   if (msg === 'NO_TOKEN') {
     body.innerHTML = `
       <div class="dcgp-error">
-        <span>⚠ No Discogs token set.</span>
+        <span>⚠ Not signed in to Discogs.</span>
         <a class="dcgp-link" href="#" id="dcgp-open-options">Open settings →</a>
       </div>`;
     body.querySelector('#dcgp-open-options').addEventListener('click', (e) => {
@@ -116,22 +319,61 @@ function showError(msg) {
       chrome.runtime.sendMessage({ type: 'open-options' });
     });
   } else {
-    body.innerHTML = `<div class="dcgp-error">⚠ ${escHtml(msg)}</div>`;
+    body.innerHTML = `
+      <div class="dcgp-error">
+        <span>⚠ ${escHtml(msg)}</span>
+        ${videoKey ? '<a class="dcgp-link dcgp-wrong" href="#">Pick the record →</a>' : ''}
+      </div>`;
+    if (videoKey) bindOverride(body, videoKey, false);
   }
 }
 
-function showResults(data) {
+function showResults(data, chapter, videoKey) {
   const body     = panelEl.querySelector('.dcgp-body');
-  const fmt      = (v) => v != null ? `$${v.toFixed(2)}` : '—';
-  const modeTag  = data.usOnly ? ' <span class="dcgp-tag">US</span>' : '';
+  const fmt      = (v) => v != null
+    ? new Intl.NumberFormat(undefined, { style: 'currency', currency: displayCurrency.code }).format(v * displayCurrency.rate)
+    : '—';
+  const modeTag  = data.shipsLabel ? ` <span class="dcgp-tag">${escHtml(data.shipsLabel)}</span>` : '';
+  const confTag  = data.confidence != null
+    ? ` <span class="dcgp-tag ${data.lowConfidence ? 'dcgp-conf-low' : 'dcgp-conf'}" title="Match confidence">${data.confidence}%</span>`
+    : '';
+  const warning  = (data.lowConfidence
+    ? '<div class="dcgp-warning">⚠ Low match confidence — this may not be the right record.</div>'
+    : '') + (data.formatFilterMiss
+    ? '<div class="dcgp-warning">No pressings match your format filter — showing every format.</div>'
+    : '');
+  const ps       = data.pressingStats;
+  const original = ps?.original && (ps.reissue || ps.repress)
+    ? `<div class="dcgp-pressing">Original pressing ${ps.original.numForSale > 0 ? `from ${fmt(ps.original.lowestPrice)} · ${ps.original.numForSale} for sale` : '— none for sale'}</div>`
+    : '';
+  const matches  = data.matches || [];
+  const owned    = matches.some((m) => m.inCollection === 'release') ? 'release' : matches.some((m) => m.inCollection) ? 'master' : null;
+  const wanted   = matches.some((m) => m.inWantlist);
+  const library  = (owned
+    ? ` <span class="dcgp-tag dcgp-owned" title="${owned === 'release' ? 'One of these pressings is in your collection' : 'You own a pressing of this record'}">✓ In collection</span>`
+    : '') + (wanted
+    ? ' <span class="dcgp-tag dcgp-wanted" title="In your Discogs wantlist">★ In wantlist</span>'
+    : '');
+  const top      = matches[0] || data;
+  const libActs  = top.releaseId
+    ? `<div class="dcgp-lib-acts">
+         <button class="dcgp-link dcgp-lib-act" data-act="want"${top.inWantlist === 'release' ? ' disabled' : ''}>${top.inWantlist === 'release' ? '★ In wantlist' : '＋ Wantlist'}</button>
+         <button class="dcgp-link dcgp-lib-act" data-act="collect">${top.inCollection === 'release' ? '＋ Another copy' : '＋ Collection'}</button>
+       </div>`
+    : '';
+  const nowPlaying = chapter
+    ? `<div class="dcgp-chapter">▶ Now playing: ${escHtml(chapter.title)}</div>`
+    : (data.mode === 'album' ? '<div class="dcgp-chapter">Full album</div>' : '');
 
   body.innerHTML = `
     <div class="dcgp-result">
       ${data.thumb ? `<img class="dcgp-thumb" src="${data.thumb}" alt="">` : ''}
       <div class="dcgp-info">
+        ${nowPlaying}
         <div class="dcgp-title">${escHtml(data.artists)} — ${escHtml(data.title)}
-          <span class="dcgp-year">(${data.year || '?'})</span>
+          <span class="dcgp-year">(${data.year || '?'})</span>${confTag}${data.override ? ' <span class="dcgp-tag dcgp-manual" title="Picked by you">Manual</span>' : ''}${library}
         </div>
+        ${warning}
 
         <div class="dcgp-stats">
           <div class="dcgp-stat">
@@ -147,13 +389,140 @@ function showResults(data) {
             <span class="dcgp-value dcgp-highlight">${fmt(data.lowestPrice)}</span>
           </div>
         </div>
+        ${original}
 
         <a class="dcgp-link" href="${data.sellUrl}" target="_blank" rel="noopener noreferrer">
           View copies on Discogs ↗
         </a>
+        ${videoKey ? '<a class="dcgp-link dcgp-wrong" href="#">Wrong record?</a>' : ''}
+        ${libActs}
       </div>
     </div>
   `;
+  if (videoKey) bindOverride(body, videoKey, !!data.override);
+  bindLibraryActions(body, top, () => showResults(data, chapter, videoKey));
+}
+
+/* ── add to wantlist / collection (the popup has notes, rating, folders) ── */
+
+function libraryErrorText(error) {
+  if (error === 'NO_TOKEN') return 'Sign in first';
+  if (/rate limit/i.test(error)) return 'Discogs is busy — try again shortly';
+  return error || 'Failed';
+}
+
+function bindLibraryActions(body, top, rerender) {
+  body.querySelectorAll('.dcgp-lib-act').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (!isExtensionAlive()) return;
+      const want = btn.dataset.act === 'want';
+      btn.disabled = true;
+      btn.textContent = 'Adding…';
+      chrome.runtime.sendMessage(
+        { type: want ? 'discogs-add-want' : 'discogs-add-collection', releaseId: top.releaseId, masterId: top.masterId },
+        (res) => {
+          if (chrome.runtime.lastError || !res?.ok) {
+            btn.disabled = false;
+            btn.textContent = `⚠ ${libraryErrorText(res?.error)}`;
+            return;
+          }
+          top[want ? 'inWantlist' : 'inCollection'] = 'release';
+          rerender();
+        }
+      );
+    });
+  });
+}
+
+/** Show the worldwide figures, then swap in ships-from ones if the toggle is on. */
+function showShipsFiltered(data, chapter, videoKey, seq) {
+  showResults(data, chapter, videoKey);
+  if (!shipsOn) return;
+  const matches = (data.matches?.length ? data.matches : [data]).map((m) => ({ sellUrl: m.sellUrl, releaseId: m.releaseId }));
+  chrome.runtime.sendMessage(
+    { type: 'discogs-filtered-stats', matches, shipsFrom: shipsFrom.countries, minGrade: null },
+    (res) => {
+      if (seq !== searchSeq || chrome.runtime.lastError || !res?.data) return;
+      showResults({
+        ...data,
+        numForSale:  res.data.numForSale,
+        lowestPrice: res.data.lowestPrice,
+        medianPrice: res.data.medianPrice,
+        shipsLabel:  shipsFrom.label,
+      }, chapter, videoKey);
+    }
+  );
+}
+
+/* ── manual match override ("Wrong record?") ─────────────────── */
+
+/** Wire the "Wrong record?" link to an inline URL / search picker. */
+function bindOverride(body, videoKey, isOverridden) {
+  body.querySelector('.dcgp-wrong').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (body.querySelector('.dcgp-override')) return;
+    const box = document.createElement('div');
+    box.className = 'dcgp-override';
+    box.innerHTML = `
+      <div class="dcgp-override-row">
+        <input class="dcgp-override-input" type="text" spellcheck="false"
+               placeholder="Paste a Discogs release/master URL, or search…">
+        <button class="dcgp-override-go">Use</button>
+      </div>
+      <div class="dcgp-override-results"></div>
+      ${isOverridden ? '<a class="dcgp-link dcgp-override-reset" href="#">Back to automatic match</a>' : ''}`;
+    body.appendChild(box);
+
+    const input   = box.querySelector('.dcgp-override-input');
+    const results = box.querySelector('.dcgp-override-results');
+    const submit  = () => submitOverride(input.value.trim(), videoKey, results);
+    box.querySelector('.dcgp-override-go').addEventListener('click', submit);
+    input.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') submit(); });
+    box.querySelector('.dcgp-override-reset')?.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      chrome.runtime.sendMessage({ type: 'discogs-clear-override', videoKey }, () => runSearch());
+    });
+    input.focus();
+  });
+}
+
+/** A Discogs URL is stored straight away; anything else is searched. */
+function submitOverride(text, videoKey, results) {
+  if (!text || !isExtensionAlive()) return;
+  if (/discogs\.com\//i.test(text)) return applyOverride(text, videoKey, results);
+
+  results.innerHTML = '<div class="dcgp-override-note">Searching…</div>';
+  chrome.runtime.sendMessage({ type: 'discogs-override-search', query: text }, (res) => {
+    if (chrome.runtime.lastError || res?.error) {
+      results.innerHTML = `<div class="dcgp-override-note">⚠ ${escHtml(res?.error || 'Search failed.')}</div>`;
+      return;
+    }
+    if (!res.data.length) {
+      results.innerHTML = '<div class="dcgp-override-note">No vinyl releases found.</div>';
+      return;
+    }
+    results.innerHTML = res.data.map((r, i) => `
+      <a class="dcgp-override-item" href="#" data-i="${i}">
+        ${escHtml(r.title)} <span class="dcgp-year">${r.year ? `(${r.year})` : ''} · ${r.type}</span>
+      </a>`).join('');
+    results.querySelectorAll('.dcgp-override-item').forEach((a) => {
+      a.addEventListener('click', (ev) => {
+        ev.preventDefault();
+        applyOverride(res.data[a.dataset.i].url, videoKey, results);
+      });
+    });
+  });
+}
+
+function applyOverride(url, videoKey, results) {
+  chrome.runtime.sendMessage({ type: 'discogs-set-override', videoKey, url }, (res) => {
+    if (chrome.runtime.lastError) return;
+    if (res?.error) {
+      results.innerHTML = `<div class="dcgp-override-note">⚠ ${escHtml(res.error)}</div>`;
+      return;
+    }
+    runSearch();
+  });
 }
 
 /** Basic HTML-entity escaping for safe DOM insertion. */
@@ -166,13 +535,11 @@ function escHtml(str) {
 /* ── search orchestration ────────────────────────────────────── */
 
 function runSearch() {
-  const titleEl =
-    document.querySelector('h1.ytd-watch-metadata yt-formatted-string') ||
-    document.querySelector('#title h1 yt-formatted-string');
-  if (!titleEl) return;
-
-  const query = cleanTitle(titleEl.textContent);
-  if (!query) return;
+  const ctx = readSearchContext();
+  if (!ctx) return;
+  applySearchContext(ctx);
+  const { query, hints, chapter, videoKey } = ctx;
+  const seq = ++searchSeq;
 
   ensurePanel();
   showLoading();
@@ -184,14 +551,15 @@ function runSearch() {
 
   try {
     chrome.runtime.sendMessage(
-      { type: 'discogs-full-search', query },
+      { type: 'discogs-full-search', query, hints, videoKey },
       (res) => {
+        if (seq !== searchSeq) return;  // a newer chapter/search took over
         if (chrome.runtime.lastError) {
           showError('Extension error — try reloading the page.');
           return;
         }
-        if (res?.error)  return showError(res.error);
-        if (res?.data?.global)   return showResults(res.data.global);
+        if (res?.error)  return showError(res.error, videoKey);
+        if (res?.data?.global)   return showShipsFiltered(res.data.global, chapter, videoKey, seq);
         showError('Unexpected response from Discogs.');
       }
     );
@@ -207,12 +575,16 @@ function onNavigate() {
   if (!location.pathname.startsWith('/watch')) {
     if (panelEl) panelEl.style.display = 'none';
     currentVideoId = null;
+    videoMode      = 'track';
     return;
   }
 
   const vid = new URLSearchParams(location.search).get('v');
   if (vid === currentVideoId) return;
   currentVideoId = vid;
+  videoMode      = 'track';
+  chapters       = [];
+  chapterIdx     = -1;
 
   if (panelEl) panelEl.style.display = '';
 
@@ -231,6 +603,26 @@ function onNavigate() {
   tryRun();
 }
 
+/* mix mode: follow the playhead and look up each chapter as it starts.
+   timeupdate doesn't bubble, so listen in the capture phase — this also
+   survives YouTube swapping out the <video> element. */
+document.addEventListener('timeupdate', (e) => {
+  if (videoMode !== 'mix' || !chapters.length || e.target.tagName !== 'VIDEO') return;
+  const idx = chapterAt(chapters, e.target.currentTime);
+  if (idx !== chapterIdx && idx >= 0) {
+    chapterIdx = idx;
+    runSearch();
+  }
+}, true);
+
+/* popup asks for the search context so both views search identically */
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.type === 'dcgp-get-hints') {
+    const ctx = readSearchContext();
+    sendResponse(ctx ? { query: ctx.query, hints: ctx.hints, chapter: ctx.chapter, videoKey: ctx.videoKey } : {});
+  }
+});
+
 /* YouTube SPA custom event — fires after every client-side navigation */
 document.addEventListener('yt-navigate-finish', onNavigate);
 
@@ -1,23 +1,84 @@
 /*  options.js — Discogs Preview settings page
- *  Saves / loads the user's Discogs personal access token.
+ *  Signs in with Discogs (OAuth, through a Discogs app whose key / secret can be
+ *  entered here) or saves / loads a personal access token, and the
+ *  discovery provider order, format filter, ships-from countries,
+ *  pressings-per-record cap and display currency; exports / imports manual
+ *  matches and shows scrape diagnostics.
  */
 
 const tokenInput  = document.getElementById('token');
 const saveBtn     = document.getElementById('save');
 const statusLabel = document.getElementById('status');
 
+const identityEl     = document.getElementById('identity');
+const identityAvatar = document.getElementById('identity-avatar');
+const identityName   = document.getElementById('identity-name');
+const identityRate   = document.getElementById('identity-rate');
+
+let signedInWithOAuth = false;   // the sign-in, not the token, is what API calls use
+
+/** Token status line; errors stay up until the next save. */
+function setTokenStatus(text, isError) {
+  statusLabel.textContent = text;
+  statusLabel.classList.toggle('error', !!isError);
+  statusLabel.classList.add('show');
+  if (!isError) setTimeout(() => statusLabel.classList.remove('show'), 2000);
+}
+
+function authErrorText(error) {
+  return error === 'Invalid Discogs token.'
+    ? '⚠ Discogs rejected this token — it may be mistyped or revoked'
+    : `⚠ Couldn't reach Discogs (${error})`;
+}
+
+/** Username, avatar and rate-limit headroom from the background's /oauth/identity check. */
+function showIdentity(data) {
+  identityEl.hidden = !data;
+  if (!data) return;
+  identityAvatar.src = data.avatar || 'icons/icon48.png';
+  identityName.textContent = `Connected as ${data.username}`;
+  identityRate.textContent = data.rateLimit
+    ? `${data.rateLimit.remaining} of ${data.rateLimit.limit} API requests left this minute`
+    : '';
+}
+
+/** Check whatever credentials are saved (sign-in first, else token). */
+function refreshIdentity() {
+  chrome.runtime.sendMessage({ type: 'discogs-identity' }, (res) => {
+    showIdentity(res?.data);
+    if (res?.error && res.error !== 'NO_TOKEN') {
+      setTokenStatus(signedInWithOAuth ? '⚠ Discogs rejected your sign-in — sign in again' : authErrorText(res.error), true);
+    }
+  });
+}
+
 /* load existing token on page open */
 chrome.storage.sync.get('discogsToken', ({ discogsToken }) => {
   if (discogsToken) tokenInput.value = discogsToken;
 });
 
-/* save */
+/* save — check the token with Discogs first so a typo shows up here,
+   not later as an error in the panel */
 saveBtn.addEventListener('click', () => {
   const value = tokenInput.value.trim();
-  chrome.storage.sync.set({ discogsToken: value }, () => {
-    statusLabel.textContent = '✓ Saved';
-    statusLabel.classList.add('show');
-    setTimeout(() => statusLabel.classList.remove('show'), 2000);
+  if (!value) {
+    chrome.storage.sync.set({ discogsToken: '' }, () => {
+      setTokenStatus('✓ Saved');
+      refreshIdentity();
+    });
+    return;
+  }
+
+  setTokenStatus('Checking…');
+  chrome.runtime.sendMessage({ type: 'discogs-identity', token: value }, (res) => {
+    if (res?.error === 'Invalid Discogs token.') {
+      setTokenStatus(authErrorText(res.error), true);
+      return;
+    }
+    chrome.storage.sync.set({ discogsToken: value }, () => {
+      setTokenStatus(res?.data ? '✓ Saved' : `✓ Saved — couldn't reach Discogs to check it`);
+      if (!signedInWithOAuth) showIdentity(res?.data);
+    });
   });
 });
 
@@ -25,3 +86,402 @@ saveBtn.addEventListener('click', () => {
 tokenInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter') saveBtn.click();
 });
+
+/* ── sign in with Discogs (OAuth, runs in the service worker) ─── */
+
+const oauthSignin  = document.getElementById('oauth-signin');
+const oauthSignout = document.getElementById('oauth-signout');
+const oauthStatus  = document.getElementById('oauth-status');
+
+function showSignedIn(signedIn, text) {
+  signedInWithOAuth   = signedIn;
+  oauthSignin.hidden  = signedIn;
+  oauthSignout.hidden = !signedIn;
+  oauthStatus.textContent = text || (signedIn ? '✓ Signed in' : '');
+  oauthStatus.classList.toggle('show', !!oauthStatus.textContent);
+}
+
+chrome.storage.sync.get('discogsOAuth', ({ discogsOAuth }) => {
+  showSignedIn(!!discogsOAuth?.token);
+  refreshIdentity();
+});
+
+/* sign-in needs Discogs app credentials — built in, or entered below;
+   without them the token is the only way in */
+function refreshOAuthAvailable() {
+  chrome.runtime.sendMessage({ type: 'discogs-oauth-available' }, (res) => {
+    document.getElementById('oauth-row').hidden = !res?.data;
+    document.getElementById('oauth-token-hint').hidden = !res?.data;
+    document.getElementById('app-section').hidden = !!res?.builtIn;
+  });
+}
+refreshOAuthAvailable();
+
+/* ── Discogs app for sign-in (when the build doesn't carry one) ── */
+
+const appKeyInput    = document.getElementById('app-key');
+const appSecretInput = document.getElementById('app-secret');
+const appStatus      = document.getElementById('app-status');
+
+chrome.storage.sync.get('discogsApp', ({ discogsApp }) => {
+  appKeyInput.value    = discogsApp?.key || '';
+  appSecretInput.value = discogsApp?.secret || '';
+});
+
+/* a sign-in belongs to the app it went through — another app signs out */
+document.getElementById('app-save').addEventListener('click', () => {
+  const app = { key: appKeyInput.value.trim(), secret: appSecretInput.value.trim() };
+  chrome.storage.sync.get('discogsApp', ({ discogsApp }) => {
+    const changed = (discogsApp?.key || '') !== app.key || (discogsApp?.secret || '') !== app.secret;
+    chrome.storage.sync.set({ discogsApp: app }, () => {
+      if (changed && signedInWithOAuth) {
+        chrome.storage.sync.remove('discogsOAuth', () => { showSignedIn(false); refreshIdentity(); });
+      }
+      appStatus.classList.add('show');
+      setTimeout(() => appStatus.classList.remove('show'), 2000);
+      refreshOAuthAvailable();
+    });
+  });
+});
+
+oauthSignin.addEventListener('click', () => {
+  oauthSignin.disabled = true;
+  chrome.runtime.sendMessage({ type: 'discogs-oauth-signin' }, (res) => {
+    oauthSignin.disabled = false;
+    if (res?.ok) { showSignedIn(true); refreshIdentity(); }
+    else showSignedIn(false, `⚠ ${res?.error || 'Sign-in failed'}`);
+  });
+});
+
+oauthSignout.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'discogs-oauth-signout' }, () => {
+    showSignedIn(false);
+    refreshIdentity();
+  });
+});
+
+/* ── discovery provider order ────────────────────────────────── */
+
+/* keep in sync with DISCOVERY_PROVIDERS / DEFAULT_PROVIDER_ORDER in background.js */
+const PROVIDERS = {
+  google:     'Google',
+  duckduckgo: 'DuckDuckGo',
+  bing:       'Bing',
+  discogs:    'Discogs database',
+};
+const DEFAULT_ORDER = ['google', 'duckduckgo', 'bing', 'discogs'];
+
+const providerList = document.getElementById('providers');
+let providerOrder  = DEFAULT_ORDER.slice();
+let providerHealth = {};
+
+function healthText(h) {
+  if (!h) return 'not used yet';
+  /* the failure that tipped the streak over names the reason */
+  if (h.demotedUntil > Date.now()) return h.lastStatus === 'error' ? 'demoted — keeps failing' : 'demoted — too many CAPTCHAs';
+  const tries = (h.ok || 0) + (h.empty || 0) + (h.captcha || 0) + (h.error || 0);
+  if (!tries) return 'not used yet';
+  const pct = (n) => Math.round(((n || 0) / tries) * 100) + '%';
+  return `${pct(h.ok)} hits · ${pct(h.captcha)} CAPTCHA` + (h.error ? ` · ${pct(h.error)} errors` : '');
+}
+
+function renderProviders() {
+  providerList.innerHTML = '';
+  providerOrder.forEach((id, i) => {
+    const h  = providerHealth[id];
+    const li = document.createElement('li');
+    li.className = 'provider';
+    li.innerHTML = `
+      <span class="provider-name">${i + 1}. ${PROVIDERS[id]}</span>
+      <span class="provider-health${h && h.demotedUntil > Date.now() ? ' demoted' : ''}">${healthText(h)}</span>
+      <button class="btn-move" data-dir="-1" ${i === 0 ? 'disabled' : ''}>↑</button>
+      <button class="btn-move" data-dir="1" ${i === providerOrder.length - 1 ? 'disabled' : ''}>↓</button>`;
+    li.querySelectorAll('.btn-move').forEach((btn) => {
+      btn.addEventListener('click', () => moveProvider(i, parseInt(btn.dataset.dir, 10)));
+    });
+    providerList.appendChild(li);
+  });
+}
+
+function moveProvider(idx, dir) {
+  const to = idx + dir;
+  if (to < 0 || to >= providerOrder.length) return;
+  [providerOrder[idx], providerOrder[to]] = [providerOrder[to], providerOrder[idx]];
+  chrome.storage.sync.set({ discoveryOrder: providerOrder });
+  renderProviders();
+}
+
+chrome.storage.sync.get('discoveryOrder', ({ discoveryOrder }) => {
+  if (Array.isArray(discoveryOrder)) {
+    const known = discoveryOrder.filter((id) => PROVIDERS[id]);
+    providerOrder = known.concat(DEFAULT_ORDER.filter((id) => !known.includes(id)));
+  }
+  chrome.storage.local.get('providerHealth', (d) => {
+    try { providerHealth = d.providerHealth ? JSON.parse(d.providerHealth) : {}; } catch { providerHealth = {}; }
+    renderProviders();
+  });
+});
+
+/* ── format filter ───────────────────────────────────────────── */
+
+/* keep in sync with FORMAT_TAGS / DEFAULT_FORMAT_FILTER in background.js */
+const FORMAT_TYPES = {
+  '7in':  '7" singles',
+  '10in': '10"',
+  '12in': '12" singles',
+  lp:     'LPs',
+  ep:     'EPs',
+  box:    'Box sets',
+};
+const DEFAULT_FORMAT_FILTER = { types: [], promo: true, test: true, pressing: 'any' };
+
+const formatTypesEl = document.getElementById('format-types');
+const fmtPromo      = document.getElementById('fmt-promo');
+const fmtTest       = document.getElementById('fmt-test');
+const fmtPressing   = document.getElementById('fmt-pressing');
+const formatStatus  = document.getElementById('format-status');
+
+function saveFormatFilter() {
+  const formatFilter = {
+    types:    [...formatTypesEl.querySelectorAll('input:checked')].map((el) => el.value),
+    promo:    fmtPromo.checked,
+    test:     fmtTest.checked,
+    pressing: fmtPressing.value,
+  };
+  chrome.storage.sync.set({ formatFilter }, () => {
+    formatStatus.classList.add('show');
+    setTimeout(() => formatStatus.classList.remove('show'), 2000);
+  });
+}
+
+chrome.storage.sync.get('formatFilter', (d) => {
+  const f = Object.assign({}, DEFAULT_FORMAT_FILTER, d.formatFilter || {});
+  formatTypesEl.innerHTML = Object.entries(FORMAT_TYPES).map(([id, name]) => `
+    <label class="check"><input type="checkbox" value="${id}" ${f.types.includes(id) ? 'checked' : ''}> ${name}</label>`).join('');
+  fmtPromo.checked  = f.promo;
+  fmtTest.checked   = f.test;
+  fmtPressing.value = f.pressing;
+  [...formatTypesEl.querySelectorAll('input'), fmtPromo, fmtTest, fmtPressing]
+    .forEach((el) => el.addEventListener('change', saveFormatFilter));
+});
+
+/* ── ships-from countries ────────────────────────────────────── */
+
+/* names as Discogs prints them after "Ships From:" */
+const EU_COUNTRIES = [
+  'Austria', 'Belgium', 'Bulgaria', 'Croatia', 'Cyprus', 'Czech Republic', 'Denmark',
+  'Estonia', 'Finland', 'France', 'Germany', 'Greece', 'Hungary', 'Ireland', 'Italy',
+  'Latvia', 'Lithuania', 'Luxembourg', 'Malta', 'Netherlands', 'Poland', 'Portugal',
+  'Romania', 'Slovakia', 'Slovenia', 'Spain', 'Sweden',
+];
+const SHIP_REGIONS = {
+  US:              ['United States'],
+  UK:              ['United Kingdom'],
+  EU:              EU_COUNTRIES,
+  'UK + EU':       ['United Kingdom'].concat(EU_COUNTRIES),
+  'North America': ['United States', 'Canada', 'Mexico'],
+  Japan:           ['Japan'],
+};
+const SHIP_COUNTRIES = [...new Set(Object.values(SHIP_REGIONS).flat().concat(
+  ['Australia', 'Brazil', 'New Zealand', 'Norway', 'Switzerland']))].sort();
+/* keep in sync with DEFAULT_SHIPS_FROM in popup.js */
+const DEFAULT_SHIPS_FROM = { countries: ['United States'], label: 'US' };
+
+const shipPresetsEl   = document.getElementById('ship-presets');
+const shipCountriesEl = document.getElementById('ship-countries');
+const shipStatus      = document.getElementById('ship-status');
+
+/* a preset's name when the ticks are exactly that region, else a count */
+function shipsLabel(countries) {
+  const key = countries.slice().sort().join('|');
+  const region = Object.keys(SHIP_REGIONS).find((r) => SHIP_REGIONS[r].slice().sort().join('|') === key);
+  if (region) return region;
+  return countries.length === 1 ? countries[0] : `${countries.length} countries`;
+}
+
+function saveShipsFrom() {
+  const countries = [...shipCountriesEl.querySelectorAll('input:checked')].map((el) => el.value);
+  if (!countries.length) return;   // the toggles need somewhere to filter by
+  chrome.storage.sync.set({ shipsFrom: { countries, label: shipsLabel(countries) } }, () => {
+    shipStatus.textContent = `✓ Saved — ${shipsLabel(countries)}`;
+    shipStatus.classList.add('show');
+    setTimeout(() => shipStatus.classList.remove('show'), 2000);
+  });
+}
+
+function tickShipCountries(countries) {
+  shipCountriesEl.querySelectorAll('input').forEach((el) => { el.checked = countries.includes(el.value); });
+}
+
+chrome.storage.sync.get('shipsFrom', (d) => {
+  const picked = d.shipsFrom?.countries?.length ? d.shipsFrom.countries : DEFAULT_SHIPS_FROM.countries;
+  shipPresetsEl.innerHTML = Object.keys(SHIP_REGIONS).map((r) =>
+    `<button class="btn-secondary btn-preset" data-region="${r}">${r}</button>`).join('');
+  shipCountriesEl.innerHTML = SHIP_COUNTRIES.map((c) => `
+    <label class="check"><input type="checkbox" value="${c}"> ${c}</label>`).join('');
+  tickShipCountries(picked);
+  shipPresetsEl.querySelectorAll('.btn-preset').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      tickShipCountries(SHIP_REGIONS[btn.dataset.region]);
+      saveShipsFrom();
+    });
+  });
+  shipCountriesEl.querySelectorAll('input').forEach((el) => el.addEventListener('change', saveShipsFrom));
+});
+
+/* ── pressings per record ─────────────────────────────────────── */
+
+/* keep in sync with DEFAULT_VERSION_CAP / MAX_VERSION_CAP in background.js */
+const DEFAULT_VERSION_CAP = 10;
+const MAX_VERSION_CAP     = 50;
+
+const versionCapInput  = document.getElementById('version-cap');
+const versionCapStatus = document.getElementById('version-cap-status');
+
+chrome.storage.sync.get('versionCap', ({ versionCap }) => {
+  versionCapInput.value = versionCap || DEFAULT_VERSION_CAP;
+});
+
+versionCapInput.addEventListener('change', () => {
+  const n = Math.min(Math.max(parseInt(versionCapInput.value, 10) || DEFAULT_VERSION_CAP, 1), MAX_VERSION_CAP);
+  versionCapInput.value = n;
+  chrome.storage.sync.set({ versionCap: n }, () => {
+    versionCapStatus.classList.add('show');
+    setTimeout(() => versionCapStatus.classList.remove('show'), 2000);
+  });
+});
+
+/* ── display currency ────────────────────────────────────────── */
+
+/* keep in sync with FALLBACK_RATES in background.js (plus USD) */
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'BRL', 'MXN', 'SEK', 'DKK', 'CHF', 'NOK', 'PLN', 'CZK', 'NZD', 'ZAR'];
+
+const currencySelect = document.getElementById('display-currency');
+const currencyStatus = document.getElementById('currency-status');
+
+currencySelect.innerHTML = CURRENCIES.map((c) => `<option value="${c}">${c}</option>`).join('');
+
+chrome.storage.sync.get('displayCurrency', ({ displayCurrency }) => {
+  currencySelect.value = CURRENCIES.includes(displayCurrency) ? displayCurrency : 'USD';
+});
+
+currencySelect.addEventListener('change', () => {
+  chrome.storage.sync.set({ displayCurrency: currencySelect.value }, () => {
+    currencyStatus.classList.add('show');
+    setTimeout(() => currencyStatus.classList.remove('show'), 2000);
+  });
+});
+
+/* ── manual match overrides ──────────────────────────────────── */
+
+/* same storage key as OVERRIDES_KEY in background.js */
+const OVERRIDES_KEY  = 'matchOverrides';
+const overrideCount  = document.getElementById('override-count');
+const overrideStatus = document.getElementById('override-status');
+const importFile     = document.getElementById('import-file');
+
+function flashOverrideStatus(text) {
+  overrideStatus.textContent = text;
+  overrideStatus.classList.add('show');
+  setTimeout(() => overrideStatus.classList.remove('show'), 2500);
+}
+
+function renderOverrideCount() {
+  chrome.storage.local.get(OVERRIDES_KEY, (d) => {
+    const n = Object.keys(d[OVERRIDES_KEY] || {}).length;
+    overrideCount.textContent = n === 1 ? '1 saved.' : `${n} saved.`;
+  });
+}
+
+/** Keep only well-formed { type, id, url } entries from an imported file. */
+function validOverrides(obj) {
+  const out = {};
+  if (!obj || typeof obj !== 'object') return out;
+  for (const [key, ov] of Object.entries(obj)) {
+    if (!ov || (ov.type !== 'release' && ov.type !== 'master')) continue;
+    const id = parseInt(ov.id, 10);
+    if (!id) continue;
+    out[key] = {
+      type: ov.type, id,
+      url: ov.url || `https://www.discogs.com/${ov.type}/${id}`,
+      time: ov.time || Date.now(),
+    };
+  }
+  return out;
+}
+
+document.getElementById('export-overrides').addEventListener('click', () => {
+  chrome.storage.local.get(OVERRIDES_KEY, (d) => {
+    const blob = new Blob([JSON.stringify(d[OVERRIDES_KEY] || {}, null, 2)], { type: 'application/json' });
+    const a    = document.createElement('a');
+    a.href     = URL.createObjectURL(blob);
+    a.download = 'discogs-preview-matches.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  });
+});
+
+document.getElementById('import-overrides').addEventListener('click', () => importFile.click());
+
+/* imported entries are merged in — same video in both keeps the imported pick */
+importFile.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+  let incoming;
+  try {
+    incoming = validOverrides(JSON.parse(await file.text()));
+  } catch {
+    flashOverrideStatus('⚠ Not a valid export file');
+    return;
+  }
+  chrome.storage.local.get(OVERRIDES_KEY, (d) => {
+    const merged = Object.assign({}, d[OVERRIDES_KEY] || {}, incoming);
+    chrome.storage.local.set({ [OVERRIDES_KEY]: merged }, () => {
+      flashOverrideStatus(`✓ Imported ${Object.keys(incoming).length}`);
+      renderOverrideCount();
+    });
+  });
+});
+
+renderOverrideCount();
+
+/* ── scrape diagnostics ──────────────────────────────────────── */
+
+/* same storage key as DRIFT_KEY in background.js */
+const DRIFT_KEY = 'scrapeDrift';
+
+const driftSummary = document.getElementById('drift-summary');
+const driftList    = document.getElementById('drift-list');
+
+const DRIFT_FIELDS = { numForSale: 'for sale', lowestPrice: 'lowest' };
+
+function driftValue(field, v) {
+  if (v == null) return '—';
+  return field === 'lowestPrice' ? `$${v.toFixed(2)}` : String(v);
+}
+
+function renderDrift() {
+  chrome.storage.local.get(DRIFT_KEY, (d) => {
+    const log = d[DRIFT_KEY];
+    driftList.innerHTML = '';
+    if (!log?.total) {
+      driftSummary.textContent = 'No disagreements so far.';
+      return;
+    }
+    driftSummary.textContent = `${log.total} disagreement${log.total === 1 ? '' : 's'} so far — if these keep coming, the sell-page parser needs attention.`;
+    for (const e of log.recent.slice(0, 5)) {
+      const li = document.createElement('li');
+      const fields = e.fields.map((f) =>
+        `${DRIFT_FIELDS[f.field] || f.field} ${driftValue(f.field, f.scraped)} scraped vs ${driftValue(f.field, f.api)} API`).join(', ');
+      li.textContent = `${new Date(e.at).toLocaleString()} — release ${e.releaseId}: ${fields}`;
+      driftList.appendChild(li);
+    }
+  });
+}
+
+document.getElementById('clear-drift').addEventListener('click', () => {
+  chrome.storage.local.remove(DRIFT_KEY, renderDrift);
+});
+
+renderDrift();
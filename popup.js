@@ -9,6 +9,11 @@ const setupEl      = document.getElementById('setup');
 const tokenInput   = document.getElementById('token');
 const saveBtn      = document.getElementById('save');
 const changeToken  = document.getElementById('change-token');
+const authStatus   = document.getElementById('auth-status');
+const oauthBlock   = document.getElementById('oauth-block');
+const tokenLabel   = document.getElementById('token-label');
+const oauthSignin  = document.getElementById('oauth-signin');
+const oauthError   = document.getElementById('oauth-error');
 const notYtEl      = document.getElementById('not-yt');
 const loadingEl    = document.getElementById('loading');
 const errorEl      = document.getElementById('error');
@@ -18,20 +23,164 @@ const rTitle       = document.getElementById('r-title');
 const rArtist      = document.getElementById('r-artist');
 const rLink        = document.getElementById('r-link');
 const globalStats  = document.getElementById('global-stats');
-const usToggle     = document.getElementById('us-toggle');
-const vgToggle     = document.getElementById('vg-toggle');
+const shipsToggle  = document.getElementById('ships-toggle');
+const shipsLabel   = document.getElementById('ships-label');
+const mediaGradeEl  = document.getElementById('media-grade');
+const sleeveGradeEl = document.getElementById('sleeve-grade');
+const landedToggle  = document.getElementById('landed-toggle');
+const landedNote    = document.getElementById('landed-note');
+const filterMissEl    = document.getElementById('filter-miss');
+const matchChipsEl    = document.getElementById('match-chips');
+const overrideEl      = document.getElementById('override');
+const libraryActionsEl = document.getElementById('library-actions');
+const libraryFormEl    = document.getElementById('library-form');
+const wrongRecord     = document.getElementById('wrong-record');
+const overrideForm    = document.getElementById('override-form');
+const overrideInput   = document.getElementById('override-input');
+const overrideGo      = document.getElementById('override-go');
+const overrideResults = document.getElementById('override-results');
+const overrideReset   = document.getElementById('override-reset');
+
+/* selectable minimum grades (GRADE_RANK names in background.js), best first */
+const GRADE_SHORT = {
+  'Mint (M)': 'M', 'Near Mint (NM or M-)': 'NM', 'Very Good Plus (VG+)': 'VG+',
+  'Very Good (VG)': 'VG', 'Good Plus (G+)': 'G+',
+};
+
+/* keep in sync with the Ships From section in options.js */
+const DEFAULT_SHIPS_FROM = { countries: ['United States'], label: 'US' };
 
 let cachedQuery = null;
 let cachedData  = null;
 let selectedMatchIndex = null;  // null = show aggregate, 0..N = specific release
+let currentVideoKey = null;     // override key: video ID, or "id@seconds" for a mix chapter
+let chipFilter = { country: [], label: [] };  // picked chips; empty = every value
+let shipsFrom  = DEFAULT_SHIPS_FROM;           // countries picked on the settings page
+let displayCurrency = { code: 'USD', rate: 1 };  // prices arrive in USD; rate is per dollar
 
 /* -- utilities -- */
 function show(el)  { el.classList.remove('hidden'); }
 function hide(el)  { el.classList.add('hidden'); }
-function hideAll() { [setupEl, notYtEl, loadingEl, errorEl, mainEl].forEach(hide); }
+function hideAll() { [setupEl, notYtEl, loadingEl, errorEl, mainEl, overrideEl].forEach(hide); }
 
-function fmtPrice(v) {
-  return v != null ? '$' + v.toFixed(2) : '—';
+function fmtPrice(v, currency = displayCurrency) {
+  if (v == null) return '—';
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency.code }).format(v * currency.rate);
+}
+
+function confidenceBadge(m) {
+  if (m.confidence == null) return '';
+  const cls = m.lowConfidence ? 'conf-badge low' : 'conf-badge';
+  const title = m.lowConfidence ? 'Low match confidence — this may be the wrong record' : 'Match confidence';
+  return `<span class="${cls}" title="${title}">${m.lowConfidence ? '⚠ ' : ''}${m.confidence}%</span>`;
+}
+
+function catnoBadge(m) {
+  if (!m.catnoMatched) return '';
+  return ` <span class="catno-badge" title="Matched by catalog number">Cat# ${escHtml(m.catnoMatched)}</span>`;
+}
+
+/* keep in sync with FORMAT_TAGS in background.js */
+const FORMAT_LABELS = {
+  '7in': '7"', '10in': '10"', '12in': '12"', lp: 'LP', ep: 'EP',
+  box: 'Box Set', promo: 'Promo', test: 'Test Pressing', reissue: 'Reissue', repress: 'Repress',
+};
+
+/* compact format for the match list — the raw Discogs string if we couldn't classify it */
+function formatLabel(m) {
+  if (m.formatTags?.length) return m.formatTags.map((t) => FORMAT_LABELS[t]).join(', ');
+  return m.format || '';
+}
+
+const PRESSING_LABELS = { original: 'Original', repress: 'Repress', reissue: 'Reissue' };
+
+function pressingBadge(m) {
+  if (!m.pressing) return '';
+  return ` <span class="pressing-badge ${m.pressing}">${PRESSING_LABELS[m.pressing]}</span>`;
+}
+
+/* index of the cheapest confident original — it gets its own badge when
+   "Best Price" went to a later pressing */
+function bestOriginalIndex(matches) {
+  return matches.findIndex((m) => m.pressing === 'original' && !m.lowConfidence);
+}
+
+/* per-pressing totals; stats[i] (filtered scrape) overrides matches[i] */
+function pressingGroups(matches, stats) {
+  const groups = {};
+  matches.forEach((m, i) => {
+    if (!m.pressing) return;
+    const s = stats?.[i] || m;
+    const g = groups[m.pressing] || (groups[m.pressing] = { numForSale: 0, lowestPrice: null });
+    g.numForSale += s.numForSale || 0;
+    if (s.lowestPrice != null && (s.numForSale || 0) > 0 && (g.lowestPrice == null || s.lowestPrice < g.lowestPrice)) {
+      g.lowestPrice = s.lowestPrice;
+    }
+  });
+  return groups;
+}
+
+/* lowest (with its grade), median and VG+ across some pressings — the
+   global figures cover every pressing, so chip-narrowed stats use this */
+function chipStats(matches) {
+  const priced = matches.filter((m) => m.lowestPrice != null && (m.numForSale || 0) > 0);
+  const cheapest = priced.reduce((best, m) => (!best || m.lowestPrice < best.lowestPrice ? m : best), null);
+  const medians = priced.map((m) => (m.medianPrice != null ? m.medianPrice : m.lowestPrice)).sort((a, b) => a - b);
+  const mid = Math.floor(medians.length / 2);
+  const vgPlus = priced.map((m) => m.vgPlusPrice).filter((v) => v != null);
+  return {
+    lowestPrice: cheapest ? cheapest.lowestPrice : null,
+    lowestGrade: cheapest ? cheapest.lowestGrade || null : null,
+    medianPrice: !medians.length ? null : medians.length % 2 ? medians[mid] : (medians[mid - 1] + medians[mid]) / 2,
+    vgPlusPrice: vgPlus.length ? Math.min(...vgPlus) : null
+  };
+}
+
+function renderPressingStats(groups) {
+  const el = document.getElementById('pressing-stats');
+  const names = Object.keys(PRESSING_LABELS).filter((p) => groups?.[p]);
+  el.innerHTML = names.map((p) => {
+    const g = groups[p];
+    const price = g.numForSale > 0 ? `from ${fmtPrice(g.lowestPrice)} · ${g.numForSale} for sale` : 'none listed';
+    return `<span class="pressing-stat"><span class="pressing-badge ${p}">${PRESSING_LABELS[p]}</span> ${price}</span>`;
+  }).join('');
+}
+
+/* in the user's collection / wantlist — this pressing, or another of the same record */
+function libraryBadge(m) {
+  let html = '';
+  if (m.inCollection) {
+    html += m.inCollection === 'release'
+      ? ' <span class="library-badge owned" title="This pressing is in your Discogs collection">✓ Owned</span>'
+      : ' <span class="library-badge owned other" title="You own another pressing of this record">✓ Own a pressing</span>';
+  }
+  if (m.inWantlist) {
+    html += m.inWantlist === 'release'
+      ? ' <span class="library-badge wanted" title="This pressing is in your Discogs wantlist">★ Wanted</span>'
+      : ' <span class="library-badge wanted other" title="Another pressing of this record is in your wantlist">★ Want a pressing</span>';
+  }
+  return html;
+}
+
+/* "+ Want" / "+ Collection" buttons — releases only (masters can't be added) */
+function libraryActions(m, i) {
+  if (!m.releaseId) return '';
+  const wanted = m.inWantlist === 'release';
+  return `<div class="lib-acts">` +
+    `<button class="lib-act" data-act="want" data-idx="${i}"${wanted ? ' disabled' : ''}>${wanted ? '★ Wanted' : '＋ Want'}</button>` +
+    `<button class="lib-act" data-act="collect" data-idx="${i}">${m.inCollection === 'release' ? '＋ Another copy' : '＋ Collection'}</button>` +
+    `</div>`;
+}
+
+function manualBadge(m) {
+  return m.override ? ' <span class="manual-badge" title="Picked by you">Manual</span>' : '';
+}
+
+/* -- release header line: artist, year, format and badges -- */
+function headerArtistHtml(m) {
+  const fmtStr = formatLabel(m) ? ' · ' + escHtml(formatLabel(m)) : '';
+  return escHtml(m.artists) + ' <span class="release-year">(' + (m.year || '?') + ')</span>' + fmtStr +
+    pressingBadge(m) + ' ' + confidenceBadge(m) + catnoBadge(m) + manualBadge(m) + libraryBadge(m);
 }
 
 function escHtml(s) {
@@ -52,19 +201,38 @@ function cleanTitle(raw) {
 }
 
 /* -- render stats cards -- */
+/* "price + shipping" mode — only where the sell page quoted postage */
+function showLanded(data) {
+  return landedToggle.checked && data?.landedLowest != null;
+}
+
+/* a match's lowest price as shown: landed in price + shipping mode */
+function matchPrice(s) {
+  return showLanded(s) ? s.landedLowest : s?.lowestPrice;
+}
+
+/* price cell for a match — in price + shipping mode a row with no
+   postage quote shows its item price, marked so it isn't read as landed */
+function matchPriceHtml(s) {
+  if (!landedToggle.checked || showLanded(s)) return `<div class="match-price">${fmtPrice(matchPrice(s))}</div>`;
+  return `<div class="match-price item-only" title="No shipping quote — item price only">${fmtPrice(matchPrice(s))} <span class="item-only-tag">item only</span></div>`;
+}
+
 function renderStats(container, data) {
+  const landed = showLanded(data);
+  const ship   = landed ? ' + Ship' : '';
   container.innerHTML = `
     <div class="stat-card">
       <div class="stat-label">Copies for Sale</div>
       <div class="stat-value">${data.numForSale || 0}</div>
     </div>
     <div class="stat-card">
-      <div class="stat-label">Median Price</div>
-      <div class="stat-value">${fmtPrice(data.medianPrice)}</div>
+      <div class="stat-label">Median${ship || ' Price'}</div>
+      <div class="stat-value">${fmtPrice(landed ? data.landedMedian : data.medianPrice)}</div>
     </div>
     <div class="stat-card">
-      <div class="stat-label">Lowest Price</div>
-      <div class="stat-value green">${fmtPrice(data.lowestPrice)}</div>
+      <div class="stat-label">Lowest${ship || ' Price'}</div>
+      <div class="stat-value green">${fmtPrice(landed ? data.landedLowest : data.lowestPrice)}</div>
       <div class="stat-sub">${data.lowestGrade ? 'Est. ' + data.lowestGrade : ''}</div>
     </div>
     <div class="stat-card">
@@ -73,19 +241,34 @@ function renderStats(container, data) {
       <div class="stat-sub">or better</div>
     </div>
   `;
+  updateLandedNote(data);
+}
+
+/* Discogs quotes postage only to a signed-in account (its country) —
+   signed out, price + shipping mode has nothing to add */
+function updateLandedNote(data) {
+  const noQuotes = landedToggle.checked && data.numForSale > 0 && data.landedLowest == null;
+  landedNote.textContent = noQuotes ? 'no postage quoted — sign in at discogs.com in this browser' : "to your Discogs account's country";
+  landedNote.classList.toggle('warn', noQuotes);
 }
 
 /* -- display results -- */
+function matchListHeading() {
+  return cachedData?.global?.mode === 'album' ? 'Pressings of this album' : 'Releases containing this track';
+}
+
 function renderMatchList(container, matches) {
   if (!matches || matches.length <= 1) {
     container.innerHTML = '';
     return;
   }
-  let html = '<div class="section-divider">Releases containing this track</div>';
+  const bestOriginal = bestOriginalIndex(matches);
+  let html = `<div class="section-divider">${matchListHeading()}</div>`;
   html += '<div class="match-list">';
   for (let i = 0; i < matches.length; i++) {
     const m = matches[i];
-    const isCheapest = i === 0;
+    const isCheapest = i === 0 && !m.lowConfidence;
+    const isBestOriginal = i === bestOriginal && !isCheapest;
     const isSelected = selectedMatchIndex === i;
     html += `<div class="match-item${isSelected ? ' selected' : ''}" data-match-idx="${i}">`;
     if (m.thumb) {
@@ -95,11 +278,12 @@ function renderMatchList(container, matches) {
     }
     html += `<div class="match-info">`;
     html += `<div class="match-title">${escHtml(m.title)}</div>`;
-    html += `<div class="match-artist">${escHtml(m.artists)}${m.year ? ' (' + m.year + ')' : ''}${m.format ? ' · ' + escHtml(m.format) : ''}</div>`;
+    html += `<div class="match-artist">${escHtml(m.artists)}${m.year ? ' (' + m.year + ')' : ''}${formatLabel(m) ? ' · ' + escHtml(formatLabel(m)) : ''}${pressingBadge(m)} ${confidenceBadge(m)}${catnoBadge(m)}${libraryBadge(m)}</div>`;
+    html += libraryActions(m, i);
     html += `</div>`;
     html += `<div class="match-price-col">`;
     if (m.numForSale > 0) {
-      html += `<div class="match-price">${fmtPrice(m.lowestPrice)}</div>`;
+      html += matchPriceHtml(m);
       html += `<div class="match-copies">${m.numForSale} for sale</div>`;
     } else {
       html += `<div class="match-price dim">—</div>`;
@@ -108,6 +292,8 @@ function renderMatchList(container, matches) {
     html += `</div>`;
     if (isCheapest) {
       html += `<div class="cheapest-badge">Best Price</div>`;
+    } else if (isBestOriginal) {
+      html += `<div class="cheapest-badge original">Best Original</div>`;
     }
     html += `</div>`;
   }
@@ -116,9 +302,56 @@ function renderMatchList(container, matches) {
   bindMatchClicks(container);
 }
 
+/* -- country / label chips: narrow the match list to some pressings -- */
+function matchesChips(m) {
+  return (!chipFilter.country.length || chipFilter.country.includes(m.country))
+      && (!chipFilter.label.length || chipFilter.label.includes(m.label));
+}
+
+function visibleMatches() {
+  return (cachedData?.global?.matches || []).filter(matchesChips);
+}
+
+function chipKey() {
+  if (!chipFilter.country.length && !chipFilter.label.length) return '';
+  return ':c' + chipFilter.country.join(',') + '|' + chipFilter.label.join(',');
+}
+
+/* distinct values of a match field, most pressings first */
+function chipValues(matches, field) {
+  const counts = {};
+  matches.forEach((m) => { if (m[field]) counts[m[field]] = (counts[m[field]] || 0) + 1; });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+}
+
+function renderChips() {
+  const matches = cachedData?.global?.matches || [];
+  const rows = [['country', 'Country'], ['label', 'Label']]
+    .map(([field, name]) => [field, name, chipValues(matches, field)])
+    .filter(([, , values]) => values.length > 1);
+  matchChipsEl.innerHTML = rows.map(([field, name, values]) =>
+    `<div class="chip-row"><span class="chip-name">${name}</span>` +
+    values.map((v) => `<button class="chip${chipFilter[field].includes(v) ? ' on' : ''}" data-field="${field}" data-value="${escHtml(v)}">${escHtml(v)}</button>`).join('') +
+    '</div>'
+  ).join('');
+  matchChipsEl.querySelectorAll('.chip').forEach((el) => {
+    el.addEventListener('click', () => toggleChip(el.dataset.field, el.dataset.value));
+  });
+}
+
+function toggleChip(field, value) {
+  const picked = chipFilter[field];
+  chipFilter[field] = picked.includes(value) ? picked.filter((v) => v !== value) : picked.concat(value);
+  selectedMatchIndex = null;  // indexes are into the visible list
+  renderChips();
+  renderMatchList(document.getElementById('match-list'), visibleMatches());
+  applyFilters();
+}
+
 function bindMatchClicks(container) {
   container.querySelectorAll('.match-item[data-match-idx]').forEach(el => {
-    el.addEventListener('click', () => {
+    el.addEventListener('click', (e) => {
+      if (e.target.closest('.lib-act')) return;   // handled by the library form
       const idx = parseInt(el.dataset.matchIdx, 10);
       selectMatch(idx);
     });
@@ -127,8 +360,7 @@ function bindMatchClicks(container) {
 
 function selectMatch(idx) {
   if (!cachedData) return;
-  const g = cachedData.global;
-  const matches = g.matches || [];
+  const matches = visibleMatches();
   if (idx < 0 || idx >= matches.length) return;
 
   // Toggle: clicking the already-selected release deselects it
@@ -148,18 +380,17 @@ function selectMatch(idx) {
 function updateHeaderForSelection() {
   if (!cachedData) return;
   const g = cachedData.global;
-  const matches = g.matches || [];
-  const us = usToggle.checked;
-  const vg = vgToggle.checked;
+  const matches = visibleMatches();
+  const ships = activeShipsFrom();
+  const grade = minGrade();
 
   if (selectedMatchIndex != null && selectedMatchIndex < matches.length) {
     const m = matches[selectedMatchIndex];
     if (m.thumb) { thumbEl.src = m.thumb; thumbEl.style.display = ''; }
     else         { thumbEl.style.display = 'none'; }
     rTitle.textContent = m.title;
-    const fmtStr = m.format ? ' · ' + escHtml(m.format) : '';
-    rArtist.innerHTML  = escHtml(m.artists) + ' <span class="release-year">(' + (m.year || '?') + ')</span>' + fmtStr;
-    rLink.href         = buildFilteredUrl(m.sellUrl, us, vg, m.releaseId);
+    rArtist.innerHTML  = headerArtistHtml(m);
+    rLink.href         = buildFilteredUrl(m.sellUrl, ships, grade, m.releaseId);
     rLink.textContent  = filterLinkText();
   } else {
     // Back to aggregate / primary
@@ -167,69 +398,93 @@ function updateHeaderForSelection() {
     if (primary.thumb) { thumbEl.src = primary.thumb; thumbEl.style.display = ''; }
     else               { thumbEl.style.display = 'none'; }
     rTitle.textContent = primary.title;
-    rArtist.innerHTML  = escHtml(primary.artists) + ' <span class="release-year">(' + (primary.year || '?') + ')</span>';
-    rLink.href         = buildFilteredUrl(primary.sellUrl || g.sellUrl, us, vg, primary.releaseId || g.releaseId);
+    rArtist.innerHTML  = headerArtistHtml(primary);
+    rLink.href         = buildFilteredUrl(primary.sellUrl || g.sellUrl, ships, grade, primary.releaseId || g.releaseId);
     rLink.textContent  = filterLinkText();
   }
+  renderHeaderActions();
+}
+
+/* library buttons for the release in the header (selected, else the first) */
+function renderHeaderActions() {
+  const matches = visibleMatches();
+  const idx = selectedMatchIndex != null && selectedMatchIndex < matches.length ? selectedMatchIndex : 0;
+  libraryActionsEl.innerHTML = matches[idx] ? libraryActions(matches[idx], idx) : '';
 }
 
-function buildFilteredUrl(url, usOnly, vgPlus, releaseId) {
+function buildFilteredUrl(url, shipsFrom, minGrade, releaseId) {
   if (!url) return url;
   // When a specific release is selected, link directly to its sell page
   if (releaseId) {
     url = 'https://www.discogs.com/sell/release/' + releaseId + '?ev=rb&sort=price%2Casc';
   }
   let sep = url.includes('?') ? '&' : '?';
-  if (usOnly) { url += sep + 'ships_from=United+States'; sep = '&'; }
+  // ships_from= takes a single country; wider filters are applied by our scrape only
+  if (shipsFrom?.length === 1) { url += sep + 'ships_from=' + encodeURIComponent(shipsFrom[0]).replace(/%20/g, '+'); sep = '&'; }
   // Note: Discogs condition URL params (e.g. condition=Very+Good+Plus+...)
   // are broken server-side — the sidebar shows the filter but returns 0 results.
-  // VG+ filtering is handled by our scraping code instead.
+  // Grade filtering is handled by our scraping code instead.
   return url;
 }
 
+/* the countries to filter by, or [] when the toggle is off */
+function activeShipsFrom() {
+  return shipsToggle.checked ? shipsFrom.countries : [];
+}
+
+/* worst acceptable media / sleeve grade, null = any */
+function minGrade() {
+  return { media: mediaGradeEl.value || null, sleeve: sleeveGradeEl.value || null };
+}
+
+/* "VG+ or better", "sleeve VG or better" — one per grade filter set */
+function gradeTags() {
+  const { media, sleeve } = minGrade();
+  const tags = [];
+  if (media)  tags.push(`${GRADE_SHORT[media]} or better`);
+  if (sleeve) tags.push(`sleeve ${GRADE_SHORT[sleeve]} or better`);
+  return tags;
+}
+
 function filterCacheKey() {
-  const us = usToggle.checked;
-  const vg = vgToggle.checked;
-  let base = 'f:' + (us ? '1' : '0') + ':' + (vg ? '1' : '0');
+  const ships = activeShipsFrom();
+  const { media, sleeve } = minGrade();
+  let base = 'f:' + ships.join(',') + ':' + (media || '') + '/' + (sleeve || '') + chipKey();
   // Include selection so aggregate vs single-match results don't collide
   return selectedMatchIndex != null ? base + ':m' + selectedMatchIndex : base;
 }
 
 function filterLabel() {
-  const us = usToggle.checked;
-  const vg = vgToggle.checked;
+  const ships = shipsToggle.checked;
   const tags = [];
-  if (us) tags.push('<span class="badge">Ships from US</span>');
-  if (vg) tags.push('<span class="badge">VG+ or better</span>');
+  if (ships) tags.push(`<span class="badge">Ships from ${escHtml(shipsFrom.label)}</span>`);
+  gradeTags().forEach((t) => tags.push(`<span class="badge">${t}</span>`));
+  chipFilter.country.concat(chipFilter.label).forEach((v) => tags.push(`<span class="badge">${escHtml(v)}</span>`));
   return tags.length ? 'All Vinyl — ' + tags.join(' ') : 'All Vinyl — <span class="badge">All Conditions Worldwide</span>';
 }
 
 function filterLinkText() {
-  const us = usToggle.checked;
-  const vg = vgToggle.checked;
-  if (us && vg) return 'View all US VG+ or better copies on Discogs ↗';
-  if (us)       return 'View all US copies on Discogs ↗';
-  if (vg)       return 'View all VG+ or better copies on Discogs ↗';
-  return 'View all copies on Discogs ↗';
+  const words = (shipsToggle.checked ? [shipsFrom.label] : []).concat(gradeTags());
+  return words.length ? `View all ${words.join(', ')} copies on Discogs ↗` : 'View all copies on Discogs ↗';
 }
 
 function copiesSuffix() {
-  const us = usToggle.checked;
-  const vg = vgToggle.checked;
+  const ships = shipsToggle.checked;
+  const { media, sleeve } = minGrade();
   const parts = [];
-  if (us) parts.push('US');
-  if (vg) parts.push('VG+');
+  if (ships) parts.push(shipsFrom.label);
+  if (media) parts.push(GRADE_SHORT[media] + '+');
+  if (sleeve) parts.push(`sleeve ${GRADE_SHORT[sleeve]}+`);
   return parts.length ? parts.join(' ') : 'for sale';
 }
 
 function applyFilters() {
   if (!cachedData) return;
-  const us = usToggle.checked;
-  const vg = vgToggle.checked;
+  const ships = activeShipsFrom();
+  const grade = minGrade();
 
   const key = filterCacheKey();
-  const g = cachedData.global;
-  const matches = g.matches || [];
+  const matches = visibleMatches();
   const divider = document.getElementById('stats-divider');
 
   // If we already have cached data for this filter combo, show it
@@ -248,10 +503,10 @@ function applyFilters() {
     ? [matches[selectedMatchIndex]]
     : matches;
 
-  const matchData = queryMatches.map(m => ({ sellUrl: m.sellUrl }));
+  const matchData = queryMatches.map(m => ({ sellUrl: m.sellUrl, releaseId: m.releaseId }));
 
   chrome.runtime.sendMessage(
-    { type: 'discogs-filtered-stats', matches: matchData, usOnly: us, vgPlus: vg },
+    { type: 'discogs-filtered-stats', matches: matchData, shipsFrom: ships, minGrade: grade },
     (res) => {
       if (chrome.runtime.lastError || res?.error) {
         renderStats(globalStats, { numForSale: 0, lowestPrice: null, medianPrice: null, vgPlusPrice: null });
@@ -268,14 +523,16 @@ function applyFilters() {
 
 function showFilteredData(fData, matches) {
   const divider = document.getElementById('stats-divider');
-  const us = usToggle.checked;
-  const vg = vgToggle.checked;
+  const ships = shipsToggle.checked;
+  const grade = minGrade();
 
   divider.innerHTML = filterLabel();
   updateHeaderForSelection();
 
   // Use filter-specific prices when available, fall back to API prices
-  const g = cachedData.global;
+  // Country / label chips narrow the pressings — the global figures
+  // would still count the hidden ones
+  const overall = chipKey() ? chipStats(matches) : cachedData.global;
 
   // When a specific release is selected, fData has one matchStats entry
   // that corresponds to that single release, not the full array.
@@ -288,10 +545,10 @@ function showFilteredData(fData, matches) {
   // fData.numForSale = filtered matched count (or all if no filter)
   // fData.scrapedTotal = total listings on the page (unfiltered)
   const displayTotal = fData.numForSale;
-  const isFiltered = vg || us;
+  const isFiltered = ships || !!grade.media || !!grade.sleeve;
   const useScrapedPrices = isFiltered || displayTotal > 0;
-  const fallbackLowest = isSingleSelected ? matches[selectedMatchIndex]?.lowestPrice : g.lowestPrice;
-  const fallbackMedian = isSingleSelected ? matches[selectedMatchIndex]?.medianPrice : g.medianPrice;
+  const fallbackLowest = isSingleSelected ? matches[selectedMatchIndex]?.lowestPrice : overall.lowestPrice;
+  const fallbackMedian = isSingleSelected ? matches[selectedMatchIndex]?.medianPrice : overall.medianPrice;
   const displayLowest = displayTotal > 0
     ? (fLowest != null ? fLowest : fallbackLowest)
     : null;
@@ -303,16 +560,20 @@ function showFilteredData(fData, matches) {
     numForSale: displayTotal,
     lowestPrice: displayLowest,
     medianPrice: displayMedian,
-    vgPlusPrice: displayTotal > 0 ? (isSingleSelected ? matches[selectedMatchIndex]?.vgPlusPrice : g.vgPlusPrice) : null,
-    lowestGrade: isFiltered ? null : (isSingleSelected ? matches[selectedMatchIndex]?.lowestGrade : g.lowestGrade)
+    landedLowest: displayTotal > 0 ? fData.landedLowest : null,
+    landedMedian: displayTotal > 0 ? fData.landedMedian : null,
+    vgPlusPrice: displayTotal > 0 ? (isSingleSelected ? matches[selectedMatchIndex]?.vgPlusPrice : overall.vgPlusPrice) : null,
+    lowestGrade: isFiltered ? null : (isSingleSelected ? matches[selectedMatchIndex]?.lowestGrade : overall.lowestGrade)
   });
+  renderPressingStats(isSingleSelected ? null : pressingGroups(matches, fData.matchStats));
 
   const suffix = copiesSuffix();
   const matchListEl = document.getElementById('match-list');
   if (matchListEl && matches.length > 1) {
     // When a specific release is selected, we only have 1 matchStats entry
     // but we still render all matches so user can switch selection.
-    let html = '<div class="section-divider">Releases containing this track</div>';
+    const bestOriginal = bestOriginalIndex(matches);
+    let html = `<div class="section-divider">${matchListHeading()}</div>`;
     html += '<div class="match-list">';
     for (let i = 0; i < matches.length; i++) {
       const m = matches[i];
@@ -321,23 +582,24 @@ function showFilteredData(fData, matches) {
       // Determine per-match stats: if aggregate (no selection), use matchStats array;
       // if this is the selected match, use fData.matchStats[0] (the single entry).
       // Scraped data is the source of truth — no capping against stale API values.
-      let msPrice = m.lowestPrice;
+      let msPriced = m;
       let msCount = m.numForSale || 0;
       let msSuffix = 'for sale';
 
       if (!isSingleSelected && fData.matchStats && fData.matchStats[i]) {
         const msRaw = fData.matchStats[i];
-        msPrice = msRaw.lowestPrice != null ? msRaw.lowestPrice : m.lowestPrice;
+        if (matchPrice(msRaw) != null) msPriced = msRaw;
         msCount = msRaw.numForSale;
         msSuffix = suffix;
       } else if (isSingleSelected && isSelected && fData.matchStats && fData.matchStats[0]) {
         const msRaw = fData.matchStats[0];
-        msPrice = msRaw.lowestPrice != null ? msRaw.lowestPrice : m.lowestPrice;
+        if (matchPrice(msRaw) != null) msPriced = msRaw;
         msCount = msRaw.numForSale;
         msSuffix = suffix;
       }
 
-      const isCheapest = i === 0;
+      const isCheapest = i === 0 && !m.lowConfidence;
+      const isBestOriginal = i === bestOriginal && !isCheapest;
       html += `<div class="match-item${isSelected ? ' selected' : ''}" data-match-idx="${i}">`;
       if (m.thumb) {
         html += `<img class="match-thumb" src="${escHtml(m.thumb)}" alt="">`;
@@ -346,11 +608,12 @@ function showFilteredData(fData, matches) {
       }
       html += `<div class="match-info">`;
       html += `<div class="match-title">${escHtml(m.title)}</div>`;
-      html += `<div class="match-artist">${escHtml(m.artists)}${m.year ? ' (' + m.year + ')' : ''}${m.format ? ' · ' + escHtml(m.format) : ''}</div>`;
+      html += `<div class="match-artist">${escHtml(m.artists)}${m.year ? ' (' + m.year + ')' : ''}${formatLabel(m) ? ' · ' + escHtml(formatLabel(m)) : ''}${pressingBadge(m)} ${confidenceBadge(m)}${catnoBadge(m)}${libraryBadge(m)}</div>`;
+      html += libraryActions(m, i);
       html += `</div>`;
       html += `<div class="match-price-col">`;
       if (msCount > 0) {
-        html += `<div class="match-price">${fmtPrice(msPrice)}</div>`;
+        html += matchPriceHtml(msPriced);
         html += `<div class="match-copies">${msCount} ${msSuffix}</div>`;
       } else {
         html += `<div class="match-price dim">—</div>`;
@@ -358,6 +621,7 @@ function showFilteredData(fData, matches) {
       }
       html += `</div>`;
       if (isCheapest) html += `<div class="cheapest-badge">Best Price</div>`;
+      else if (isBestOriginal) html += `<div class="cheapest-badge original">Best Original</div>`;
       html += `</div>`;
     }
     html += '</div>';
@@ -372,6 +636,7 @@ function showResults(data) {
   hideAll();
   show(mainEl);
   selectedMatchIndex = null;  // reset selection on new search
+  chipFilter = { country: [], label: [] };
 
   const g = data.global;
   const matches = g.matches || [];
@@ -383,11 +648,20 @@ function showResults(data) {
   else               { thumbEl.style.display = 'none'; }
 
   rTitle.textContent  = primary.title;
-  rArtist.innerHTML   = escHtml(primary.artists) + ' <span class="release-year">(' + (primary.year || '?') + ')</span>';
+  rArtist.innerHTML   = headerArtistHtml(primary);
   rLink.href          = primary.sellUrl || g.sellUrl;
 
+  showOverride(!!g.override);
+  filterMissEl.classList.toggle('hidden', !g.formatFilterMiss);
+
+  cachedData = data;
+  renderChips();
+  renderHeaderActions();
+  hide(libraryFormEl);
+
   /* stats */
   renderStats(globalStats, g);
+  renderPressingStats(g.pressingStats);
 
   /* match list */
   const matchListEl = document.getElementById('match-list');
@@ -395,22 +669,191 @@ function showResults(data) {
     renderMatchList(matchListEl, matches);
   }
 
-  cachedData = data;
-
   /* Apply saved toggle states */
-  chrome.storage.sync.get(['usOnly', 'vgPlus'], (d) => {
-    usToggle.checked = !!d.usOnly;
-    vgToggle.checked = !!d.vgPlus;
+  chrome.storage.sync.get(['shipsFrom', 'shipsFromOn', 'usOnly', 'minGrade', 'vgPlus', 'landedCost'], (d) => {
+    shipsFrom = d.shipsFrom?.countries?.length ? d.shipsFrom : DEFAULT_SHIPS_FROM;
+    shipsLabel.textContent = `Ships from ${shipsFrom.label} only`;
+    shipsToggle.checked = !!(d.shipsFromOn ?? d.usOnly);   // usOnly: setting from before country choice
+    // vgPlus: the on/off VG+ switch this replaced
+    const grade = d.minGrade || { media: d.vgPlus ? 'Very Good Plus (VG+)' : null, sleeve: null };
+    mediaGradeEl.value  = grade.media || '';
+    sleeveGradeEl.value = grade.sleeve || '';
+    landedToggle.checked = !!d.landedCost;
     applyFilters();
   });
 }
 
+/* -- add to wantlist / collection -- */
+function libraryErrorText(error) {
+  if (error === 'NO_TOKEN') return 'Sign in or set a token first.';
+  if (/rate limit/i.test(error)) return 'Discogs is busy — try again in a minute.';
+  if (error === 'Invalid Discogs token.') return 'Discogs rejected your token or sign-in.';
+  return error || 'Something went wrong.';
+}
+
+/* flag every pressing the add touched: this one, and others of the same record */
+function markLibrary(field, m) {
+  for (const x of cachedData?.global?.matches || []) {
+    if (x.releaseId === m.releaseId) x[field] = 'release';
+    else if (m.masterId && x.masterId === m.masterId && !x[field]) x[field] = 'master';
+  }
+}
+
+function openLibraryForm(act, idx) {
+  const m = visibleMatches()[idx];
+  if (!m?.releaseId) return;
+  const want = act === 'want';
+  libraryFormEl.innerHTML = `
+    <div class="lib-form-title">${want ? 'Add to wantlist' : 'Add to collection'}: ${escHtml(m.title)}${m.year ? ` (${m.year})` : ''}</div>
+    <div class="lib-form-row">
+      ${want
+        ? `<input type="text" id="lib-notes" placeholder="Notes (optional)" maxlength="255">
+           <select id="lib-rating"><option value="0">No rating</option>${[1, 2, 3, 4, 5].map((r) => `<option value="${r}">${'★'.repeat(r)}</option>`).join('')}</select>`
+        : '<select id="lib-folder"><option value="1">Uncategorized</option></select>'}
+      <button class="btn" id="lib-save">Add</button>
+      <button class="lib-cancel" id="lib-cancel" title="Cancel">✕</button>
+    </div>
+    <div class="lib-msg" id="lib-msg"></div>`;
+  show(libraryFormEl);
+
+  const msgEl  = libraryFormEl.querySelector('#lib-msg');
+  const saveEl = libraryFormEl.querySelector('#lib-save');
+  libraryFormEl.querySelector('#lib-cancel').addEventListener('click', () => hide(libraryFormEl));
+
+  if (!want) {
+    chrome.runtime.sendMessage({ type: 'discogs-collection-folders' }, (res) => {
+      if (chrome.runtime.lastError || !res?.data?.length) return;
+      libraryFormEl.querySelector('#lib-folder').innerHTML = res.data
+        .map((f) => `<option value="${f.id}">${escHtml(f.name)}</option>`).join('');
+    });
+  }
+
+  saveEl.addEventListener('click', () => {
+    const msg = want
+      ? { type: 'discogs-add-want', releaseId: m.releaseId, masterId: m.masterId,
+          notes: libraryFormEl.querySelector('#lib-notes').value.trim(),
+          rating: parseInt(libraryFormEl.querySelector('#lib-rating').value, 10) }
+      : { type: 'discogs-add-collection', releaseId: m.releaseId, masterId: m.masterId,
+          folderId: parseInt(libraryFormEl.querySelector('#lib-folder').value, 10) };
+    saveEl.disabled = true;
+    msgEl.className = 'lib-msg';
+    msgEl.textContent = 'Adding…';
+    chrome.runtime.sendMessage(msg, (res) => {
+      saveEl.disabled = false;
+      if (chrome.runtime.lastError || !res?.ok) {
+        msgEl.className = 'lib-msg error';
+        msgEl.textContent = `⚠ ${libraryErrorText(res?.error)}`;
+        return;
+      }
+      markLibrary(want ? 'inWantlist' : 'inCollection', m);
+      hide(libraryFormEl);
+      updateHeaderForSelection();
+      applyFilters();
+    });
+  });
+}
+
+mainEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('.lib-act');
+  if (btn) openLibraryForm(btn.dataset.act, parseInt(btn.dataset.idx, 10));
+});
+
+/* -- "Wrong record?" — pin a Discogs release/master to this video -- */
+function showOverride(isOverridden) {
+  if (!currentVideoKey) return;
+  show(overrideEl);
+  hide(overrideForm);
+  overrideResults.innerHTML = '';
+  overrideReset.classList.toggle('hidden', !isOverridden);
+}
+
+function applyOverride(url) {
+  chrome.runtime.sendMessage({ type: 'discogs-set-override', videoKey: currentVideoKey, url }, (res) => {
+    if (chrome.runtime.lastError) return;
+    if (res?.error) {
+      overrideResults.innerHTML = `<div class="override-note">⚠ ${escHtml(res.error)}</div>`;
+      return;
+    }
+    init();
+  });
+}
+
+/* a Discogs URL is stored straight away; anything else is searched */
+function submitOverride() {
+  const text = overrideInput.value.trim();
+  if (!text) return;
+  if (/discogs\.com\//i.test(text)) return applyOverride(text);
+
+  overrideResults.innerHTML = '<div class="override-note">Searching…</div>';
+  chrome.runtime.sendMessage({ type: 'discogs-override-search', query: text }, (res) => {
+    if (chrome.runtime.lastError || res?.error) {
+      overrideResults.innerHTML = `<div class="override-note">⚠ ${escHtml(res?.error || 'Search failed.')}</div>`;
+      return;
+    }
+    if (!res.data.length) {
+      overrideResults.innerHTML = '<div class="override-note">No vinyl releases found.</div>';
+      return;
+    }
+    overrideResults.innerHTML = res.data.map((r, i) =>
+      `<a class="override-item" href="#" data-i="${i}">${escHtml(r.title)} <span class="release-year">${r.year ? `(${r.year})` : ''} · ${r.type}</span></a>`
+    ).join('');
+    overrideResults.querySelectorAll('.override-item').forEach((a) => {
+      a.addEventListener('click', (e) => {
+        e.preventDefault();
+        applyOverride(res.data[a.dataset.i].url);
+      });
+    });
+  });
+}
+
+wrongRecord.addEventListener('click', (e) => {
+  e.preventDefault();
+  overrideForm.classList.toggle('hidden');
+  if (!overrideForm.classList.contains('hidden')) overrideInput.focus();
+});
+overrideGo.addEventListener('click', submitOverride);
+overrideInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') submitOverride();
+});
+overrideReset.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.sendMessage({ type: 'discogs-clear-override', videoKey: currentVideoKey }, () => init());
+});
+
+/* -- search context from the content script: query, description hints and,
+      for DJ mixes, the chapter playing now (empty if it isn't loaded) -- */
+function getTabContext(tabId) {
+  return new Promise((resolve) => {
+    try {
+      chrome.tabs.sendMessage(tabId, { type: 'dcgp-get-hints' }, (res) => {
+        if (chrome.runtime.lastError) return resolve({});
+        resolve(res || {});
+      });
+    } catch {
+      resolve({});
+    }
+  });
+}
+
+/* -- who the saved token / sign-in belongs to, next to "⚙ Token" -- */
+function showAuthStatus() {
+  chrome.runtime.sendMessage({ type: 'discogs-identity' }, (res) => {
+    if (chrome.runtime.lastError || !res) return;
+    const rejected = res.error === 'Invalid Discogs token.';
+    authStatus.className = `auth-status ${res.data ? 'ok' : rejected ? 'bad' : ''}`;
+    authStatus.textContent = res.data ? res.data.username : rejected ? '⚠ Token rejected' : '';
+    authStatus.title = res.data?.rateLimit
+      ? `${res.data.rateLimit.remaining} of ${res.data.rateLimit.limit} API requests left this minute`
+      : rejected ? 'Discogs rejected the saved token or sign-in — it may be mistyped or revoked' : '';
+  });
+}
+
 /* -- main flow -- */
 async function init() {
   /* 1 — check for token */
-  const { discogsToken } = await chrome.storage.sync.get('discogsToken');
+  const { discogsToken, discogsOAuth } = await chrome.storage.sync.get(['discogsToken', 'discogsOAuth']);
 
-  if (!discogsToken) {
+  if (!discogsToken && !discogsOAuth?.token) {
     hideAll();
     show(setupEl);
     return;
@@ -419,6 +862,14 @@ async function init() {
   /* token exists — hide setup, show gear link */
   hide(setupEl);
   changeToken.style.display = '';
+  showAuthStatus();
+
+  /* display currency — rates are cached, so this is quick */
+  displayCurrency = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'discogs-currency' }, (res) => {
+      resolve(!chrome.runtime.lastError && res?.data ? res.data : displayCurrency);
+    });
+  });
 
   /* 2 — get current tab */
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -429,9 +880,13 @@ async function init() {
     return;
   }
 
-  /* 3 — extract & clean title */
+  /* 3 — extract & clean title (the content script's view wins: it sees
+         the description, album chapters and the mix chapter playing now) */
   const rawTitle = tab.title || '';
-  const query = cleanTitle(rawTitle);
+  const ctx = await getTabContext(tab.id);
+  const query = ctx.query || cleanTitle(rawTitle);
+  const hints = ctx.hints || {};
+  const videoKey = ctx.videoKey || new URL(tab.url).searchParams.get('v');
   if (DEBUG) console.log('[POPUP] raw tab.title:', JSON.stringify(rawTitle));
   if (DEBUG) console.log('[POPUP] cleaned query:', JSON.stringify(query));
   if (!query) {
@@ -442,12 +897,13 @@ async function init() {
 
   /* 4 — search */
   cachedQuery = query;
+  currentVideoKey = videoKey;
   hideAll();
   show(loadingEl);
 
   // Check for cached data first — show instantly if available
   chrome.runtime.sendMessage(
-    { type: 'discogs-cache-check', query },
+    { type: 'discogs-cache-check', query, hints, videoKey },
     (cacheRes) => {
       if (chrome.runtime.lastError) { /* ignore */ }
       if (cacheRes?.data) {
@@ -456,7 +912,7 @@ async function init() {
 
       // Always fetch fresh data
       chrome.runtime.sendMessage(
-        { type: 'discogs-full-search', query },
+        { type: 'discogs-full-search', query, hints, videoKey },
         (res) => {
           if (chrome.runtime.lastError) {
             if (!cacheRes?.data) {
@@ -471,6 +927,7 @@ async function init() {
               hideAll();
               show(errorEl);
               errorEl.textContent = '⚠ ' + res.error;
+              showOverride(false);
             }
             return;
           }
@@ -495,6 +952,25 @@ tokenInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter') saveBtn.click();
 });
 
+/* -- the sign-in button only shows once Discogs app credentials are set up -- */
+chrome.runtime.sendMessage({ type: 'discogs-oauth-available' }, (res) => {
+  if (chrome.runtime.lastError || !res?.data) return;
+  oauthBlock.hidden = false;
+  tokenLabel.hidden = true;
+});
+
+/* -- sign in with Discogs (the popup may close while the Discogs
+      window is up; the service worker finishes the flow regardless) -- */
+oauthSignin.addEventListener('click', () => {
+  oauthSignin.disabled = true;
+  oauthError.textContent = '';
+  chrome.runtime.sendMessage({ type: 'discogs-oauth-signin' }, (res) => {
+    oauthSignin.disabled = false;
+    if (res?.ok) init();
+    else oauthError.textContent = `⚠ ${res?.error || 'Sign-in failed'}`;
+  });
+});
+
 /* -- change token -- */
 changeToken.addEventListener('click', (e) => {
   e.preventDefault();
@@ -505,15 +981,21 @@ changeToken.addEventListener('click', (e) => {
 });
 
 /* -- filter toggles -- */
-usToggle.addEventListener('change', () => {
-  chrome.storage.sync.set({ usOnly: usToggle.checked });
+shipsToggle.addEventListener('change', () => {
+  chrome.storage.sync.set({ shipsFromOn: shipsToggle.checked });
   applyFilters();
 });
 
-vgToggle.addEventListener('change', () => {
-  chrome.storage.sync.set({ vgPlus: vgToggle.checked });
+/* same scrape, different figures — re-render from the cached filter data */
+landedToggle.addEventListener('change', () => {
+  chrome.storage.sync.set({ landedCost: landedToggle.checked });
   applyFilters();
 });
 
+[mediaGradeEl, sleeveGradeEl].forEach((el) => el.addEventListener('change', () => {
+  chrome.storage.sync.set({ minGrade: minGrade() });
+  applyFilters();
+}));
+
 /* -- kick off -- */
 init();
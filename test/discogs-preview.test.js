@@ -15,11 +15,14 @@
  *  9. Integration-level scenarios (pipeline behavior)
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
 
 const h = require('./helpers.js');
 
+const VG_PLUS = 'Very Good Plus (VG+)';
+const VG_PLUS_MIN = { media: VG_PLUS, sleeve: null };   // parseFilteredPage minGrade
+
 
 // ═══════════════════════════════════════════════════════════════
 // 1. STRING NORMALIZATION
@@ -725,7 +728,7 @@ describe('parseSellPageHtml()', () => {
       assert.equal(r.lowestPrice, 1.99);
 
       // Filtered VG+: 6 listings (the Good (G) one is excluded)
-      const f = h.parseFilteredPage(html, false, true);
+      const f = h.parseFilteredPage(html, false, VG_PLUS_MIN);
       assert.equal(f.matched, 6);
       assert.equal(f.lowest, 3.00);
     });
@@ -861,42 +864,42 @@ describe('parseSellPageHtml()', () => {
 // 8. GRADE HELPERS
 // ═══════════════════════════════════════════════════════════════
 
-describe('isVGPlusOrBetter()', () => {
+describe('meetsGrade() with a VG+ minimum', () => {
   it('Mint is VG+ or better', () => {
-    assert.equal(h.isVGPlusOrBetter('Mint (M)'), true);
+    assert.equal(h.meetsGrade('Mint (M)', VG_PLUS), true);
   });
 
   it('Near Mint is VG+ or better', () => {
-    assert.equal(h.isVGPlusOrBetter('Near Mint (NM or M-)'), true);
+    assert.equal(h.meetsGrade('Near Mint (NM or M-)', VG_PLUS), true);
   });
 
   it('VG+ is VG+ or better', () => {
-    assert.equal(h.isVGPlusOrBetter('Very Good Plus (VG+)'), true);
+    assert.equal(h.meetsGrade('Very Good Plus (VG+)', VG_PLUS), true);
   });
 
   it('VG is NOT VG+ or better', () => {
-    assert.equal(h.isVGPlusOrBetter('Very Good (VG)'), false);
+    assert.equal(h.meetsGrade('Very Good (VG)', VG_PLUS), false);
   });
 
   it('Good is NOT VG+ or better', () => {
-    assert.equal(h.isVGPlusOrBetter('Good (G)'), false);
+    assert.equal(h.meetsGrade('Good (G)', VG_PLUS), false);
   });
 
   it('Fair is NOT VG+ or better', () => {
-    assert.equal(h.isVGPlusOrBetter('Fair (F)'), false);
+    assert.equal(h.meetsGrade('Fair (F)', VG_PLUS), false);
   });
 
   it('Poor is NOT VG+ or better', () => {
-    assert.equal(h.isVGPlusOrBetter('Poor (P)'), false);
+    assert.equal(h.meetsGrade('Poor (P)', VG_PLUS), false);
   });
 
   it('unknown grade returns false', () => {
-    assert.equal(h.isVGPlusOrBetter('Whatever'), false);
+    assert.equal(h.meetsGrade('Whatever', VG_PLUS), false);
   });
 
   it('null/undefined returns false', () => {
-    assert.equal(h.isVGPlusOrBetter(null), false);
-    assert.equal(h.isVGPlusOrBetter(undefined), false);
+    assert.equal(h.meetsGrade(null, VG_PLUS), false);
+    assert.equal(h.meetsGrade(undefined, VG_PLUS), false);
   });
 });
 
@@ -958,56 +961,69 @@ describe('isVinylFormat()', () => {
 // 9. FILTER URL BUILDING
 // ═══════════════════════════════════════════════════════════════
 
+const US = ['United States'];
+
 describe('buildFilteredUrl_bg() — background.js version', () => {
   it('adds ships_from for US-only', () => {
-    const url = h.buildFilteredUrl_bg('https://www.discogs.com/sell/list?master_id=123', true);
+    const url = h.buildFilteredUrl_bg('https://www.discogs.com/sell/list?master_id=123', US);
     assert.ok(url.includes('ships_from=United+States'));
     assert.ok(url.includes('&'), 'should use & since ? exists');
   });
 
   it('uses ? when no existing params', () => {
-    const url = h.buildFilteredUrl_bg('https://www.discogs.com/sell/release/456', true);
+    const url = h.buildFilteredUrl_bg('https://www.discogs.com/sell/release/456', US);
     assert.ok(url.includes('?ships_from=United+States'));
   });
 
-  it('returns unmodified URL when usOnly is false', () => {
+  it('returns unmodified URL when no countries are picked', () => {
     const base = 'https://www.discogs.com/sell/list?master_id=123';
-    assert.equal(h.buildFilteredUrl_bg(base, false), base);
+    assert.equal(h.buildFilteredUrl_bg(base, []), base);
+    assert.equal(h.buildFilteredUrl_bg(base, null), base);
+  });
+
+  it('encodes any single country', () => {
+    const url = h.buildFilteredUrl_bg('https://www.discogs.com/sell/release/456', ['United Kingdom']);
+    assert.ok(url.endsWith('?ships_from=United+Kingdom'));
+  });
+
+  it('leaves ships_from off for several countries (one value only)', () => {
+    const base = 'https://www.discogs.com/sell/release/456';
+    assert.equal(h.buildFilteredUrl_bg(base, ['Germany', 'France']), base);
   });
 });
 
 describe('buildFilteredUrl_popup() — popup.js version', () => {
   it('adds ships_from for US-only', () => {
-    const url = h.buildFilteredUrl_popup('https://www.discogs.com/sell/list?master_id=123', true, false);
+    const url = h.buildFilteredUrl_popup('https://www.discogs.com/sell/list?master_id=123', US, false);
     assert.ok(url.includes('ships_from=United+States'));
   });
 
   it('releaseId rewrites URL to release sell page', () => {
-    const url = h.buildFilteredUrl_popup('https://www.discogs.com/sell/list?master_id=123', false, false, 456);
+    const url = h.buildFilteredUrl_popup('https://www.discogs.com/sell/list?master_id=123', [], false, 456);
     assert.ok(url.startsWith('https://www.discogs.com/sell/release/456'), 'should use release URL');
     assert.ok(!url.includes('condition'), 'condition params are broken on Discogs');
   });
 
   it('VG+ without releaseId keeps master URL, no condition params', () => {
-    const url = h.buildFilteredUrl_popup('https://www.discogs.com/sell/list?master_id=123', false, true);
+    const url = h.buildFilteredUrl_popup('https://www.discogs.com/sell/list?master_id=123', [], true);
     assert.ok(url.includes('master_id=123'), 'should keep master URL');
     assert.ok(!url.includes('condition'), 'condition params are broken on Discogs');
   });
 
   it('handles both US and VG+ flags with releaseId', () => {
-    const url = h.buildFilteredUrl_popup('https://www.discogs.com/sell/list?master_id=123', true, true, 789);
+    const url = h.buildFilteredUrl_popup('https://www.discogs.com/sell/list?master_id=123', US, true, 789);
     assert.ok(url.startsWith('https://www.discogs.com/sell/release/789'), 'should use release URL');
     assert.ok(url.includes('ships_from=United+States'));
     assert.ok(!url.includes('condition'), 'condition params are broken on Discogs');
   });
 
   it('returns null for null input', () => {
-    assert.equal(h.buildFilteredUrl_popup(null, true, true), null);
+    assert.equal(h.buildFilteredUrl_popup(null, US, true), null);
   });
 
   it('no filters and no releaseId returns url unchanged', () => {
     const base = 'https://www.discogs.com/sell/list?master_id=123';
-    assert.equal(h.buildFilteredUrl_popup(base, false, false), base);
+    assert.equal(h.buildFilteredUrl_popup(base, [], false), base);
   });
 });
 
@@ -1026,7 +1042,7 @@ describe('fmtPrice()', () => {
   });
 
   it('formats large price', () => {
-    assert.equal(h.fmtPrice(1250.99), '$1250.99');
+    assert.equal(h.fmtPrice(1250.99), '$1,250.99');
   });
 
   it('returns dash for null', () => {
@@ -1373,9 +1389,9 @@ describe('regression tests', () => {
     assert.equal(r.numForSale, 3);
     assert.equal(r.lowestPrice, 8.67);
     // The actual US-filter logic lives in scrapeFilteredListings (async,
-    // uses fetch), but isVGPlusOrBetter is the per-listing check we test:
-    assert.equal(h.isVGPlusOrBetter('Fair (F)'), false);
-    assert.equal(h.isVGPlusOrBetter('Very Good Plus (VG+)'), true);
+    // uses fetch), but meetsGrade is the per-listing check we test:
+    assert.equal(h.meetsGrade('Fair (F)', VG_PLUS), false);
+    assert.equal(h.meetsGrade('Very Good Plus (VG+)', VG_PLUS), true);
   });
 });
 
@@ -1563,10 +1579,8 @@ describe('edge case stress tests', () => {
 
     it('handles unicode in track names', () => {
       const tl = [{ title: 'Déjà Vu', type_: 'track' }];
-      // normalize strips non-[a-z0-9], so accented chars are removed
-      // 'Déjà Vu' → 'dj vu', 'Deja Vu' → 'deja vu' — they won't match
-      assert.equal(h.tracklistContains(tl, 'Deja Vu'), false);
-      // But searching with the same accented spelling works (both normalize the same)
+      // normalize folds diacritics: 'Déjà Vu' → 'deja vu'
+      assert.equal(h.tracklistContains(tl, 'Deja Vu'), true);
       assert.equal(h.tracklistContains(tl, 'Déjà Vu'), true);
     });
 
@@ -1690,11 +1704,11 @@ describe('edge case stress tests', () => {
       assert.equal(r.numForSale, 3);
       assert.equal(r.lowestPrice, 8.67);
 
-      // isVGPlusOrBetter correctly classifies grades
-      assert.equal(h.isVGPlusOrBetter('Very Good Plus (VG+)'), true);
-      assert.equal(h.isVGPlusOrBetter('Good Plus (G+)'), false);
-      assert.equal(h.isVGPlusOrBetter('Mint (M)'), true);
-      assert.equal(h.isVGPlusOrBetter('Near Mint (NM or M-)'), true);
+      // meetsGrade correctly classifies grades
+      assert.equal(h.meetsGrade('Very Good Plus (VG+)', VG_PLUS), true);
+      assert.equal(h.meetsGrade('Good Plus (G+)', VG_PLUS), false);
+      assert.equal(h.meetsGrade('Mint (M)', VG_PLUS), true);
+      assert.equal(h.meetsGrade('Near Mint (NM or M-)', VG_PLUS), true);
     });
 
     it('all-NM page should have 100% VG+ or better', () => {
@@ -1709,7 +1723,7 @@ describe('edge case stress tests', () => {
       const r = h.parseSellPageHtml(html);
       assert.equal(r.numForSale, 5);
       // All 5 are NM which is VG+ or better
-      assert.equal(h.isVGPlusOrBetter('Near Mint (NM or M-)'), true);
+      assert.equal(h.meetsGrade('Near Mint (NM or M-)', VG_PLUS), true);
     });
 
     it('all-Fair page should have 0% VG+ or better', () => {
@@ -1721,7 +1735,7 @@ describe('edge case stress tests', () => {
       `;
       const r = h.parseSellPageHtml(html);
       assert.equal(r.numForSale, 3);
-      assert.equal(h.isVGPlusOrBetter('Fair (F)'), false);
+      assert.equal(h.meetsGrade('Fair (F)', VG_PLUS), false);
     });
 
     it('mixed-condition page extracts correct total', () => {
@@ -1782,7 +1796,7 @@ describe('edge case stress tests', () => {
         <span class="price">$4.00</span>
         Ships From: Germany
       `;
-      const r = h.parseFilteredPage(html, false, true);
+      const r = h.parseFilteredPage(html, false, VG_PLUS_MIN);
       assert.equal(r.matched, 0, 'Good (G) media should not pass VG+ filter');
       assert.equal(r.prices.length, 0);
     });
@@ -1797,7 +1811,7 @@ describe('edge case stress tests', () => {
         <span class="price">$12.00</span>
         Ships From: Germany
       `;
-      const r = h.parseFilteredPage(html, false, true);
+      const r = h.parseFilteredPage(html, false, VG_PLUS_MIN);
       assert.equal(r.matched, 1, 'VG+ media should pass regardless of sleeve');
       assert.equal(r.prices.length, 1);
       assert.equal(r.lowest, 12.00);
@@ -1813,7 +1827,7 @@ describe('edge case stress tests', () => {
         <span class="price">$25.00</span>
         Ships From: Germany
       `;
-      const r = h.parseFilteredPage(html, false, true);
+      const r = h.parseFilteredPage(html, false, VG_PLUS_MIN);
       assert.equal(r.matched, 1, 'NM media should pass regardless of sleeve');
       assert.equal(r.prices.length, 1);
       assert.equal(r.lowest, 25.00);
@@ -1841,7 +1855,7 @@ describe('edge case stress tests', () => {
         <span class="price">$2.00</span>
         Ships From: Germany
       `;
-      const r = h.parseFilteredPage(html, false, true);
+      const r = h.parseFilteredPage(html, false, VG_PLUS_MIN);
       assert.equal(r.matched, 1, 'only the VG+ media listing should pass');
       assert.equal(r.lowest, 15.00);
     });
@@ -2020,3 +2034,1797 @@ describe('edge case stress tests', () => {
   });
 
 });
+
+
+// ═══════════════════════════════════════════════════════════════
+// 15. DISCOGS DATABASE SEARCH FALLBACK
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseDatabaseSearchResults()', () => {
+  it('maps master and release results to { type, id, url }', () => {
+    const r = h.parseDatabaseSearchResults({ results: [
+      { type: 'master', id: 123, uri: '/master/123-Artist-Title' },
+      { type: 'release', id: 456, uri: '/release/456-Artist-Title' },
+    ] });
+    assert.equal(r.length, 2);
+    assert.equal(r[0].type, 'master');
+    assert.equal(r[0].id, 123);
+    assert.equal(r[1].type, 'release');
+    assert.equal(r[1].id, 456);
+    assert.equal(r[1].url, 'https://www.discogs.com/release/456-Artist-Title');
+  });
+
+  it('skips artist and label results', () => {
+    const r = h.parseDatabaseSearchResults({ results: [
+      { type: 'artist', id: 1, uri: '/artist/1-Someone' },
+      { type: 'label', id: 2, uri: '/label/2-Warp' },
+      { type: 'release', id: 3, uri: '/release/3-X' },
+    ] });
+    assert.equal(r.length, 1);
+    assert.equal(r[0].id, 3);
+  });
+
+  it('deduplicates repeated IDs like the Google path', () => {
+    const r = h.parseDatabaseSearchResults({ results: [
+      { type: 'release', id: 9, uri: '/release/9-A' },
+      { type: 'release', id: 9, uri: '/release/9-A' },
+    ] });
+    assert.equal(r.length, 1);
+  });
+
+  it('builds a URL from type + id when uri is missing', () => {
+    const r = h.parseDatabaseSearchResults({ results: [{ type: 'master', id: 77 }] });
+    assert.equal(r[0].id, 77);
+    assert.equal(r[0].url, 'https://www.discogs.com/master/77');
+  });
+
+  it('handles null / empty responses', () => {
+    assert.equal(h.parseDatabaseSearchResults(null).length, 0);
+    assert.equal(h.parseDatabaseSearchResults({}).length, 0);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 16. DISCOVERY PROVIDERS
+// ═══════════════════════════════════════════════════════════════
+
+describe('extractDiscogsUrls()', () => {
+  it('extracts Google /url?q= redirects', () => {
+    const html = '<a href="/url?q=https://www.discogs.com/master/123-Foo&amp;sa=U">x</a>';
+    const r = h.extractDiscogsUrls(html);
+    assert.equal(r.length, 1);
+    assert.equal(r[0].type, 'master');
+    assert.equal(r[0].id, 123);
+  });
+
+  it('extracts DuckDuckGo uddg= redirects', () => {
+    const html = '<a class="result__a" href="//duckduckgo.com/l/?uddg=https%3A%2F%2Fwww.discogs.com%2Frelease%2F456%2DFoo&amp;rut=abc">x</a>';
+    const r = h.extractDiscogsUrls(html);
+    assert.equal(r.length, 1);
+    assert.equal(r[0].type, 'release');
+    assert.equal(r[0].id, 456);
+  });
+
+  it('extracts Bing base64 click-tracking links', () => {
+    const target = Buffer.from('https://www.discogs.com/master/789-Bar').toString('base64')
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    const html = '<a href="https://www.bing.com/ck/a?!&amp;&amp;p=xyz&amp;u=a1' + target + '&amp;ntb=1">x</a>';
+    const r = h.extractDiscogsUrls(html);
+    assert.equal(r.length, 1);
+    assert.equal(r[0].id, 789);
+  });
+
+  it('ignores Bing click-tracking links to other sites', () => {
+    const target = Buffer.from('https://example.com/release/1').toString('base64').replace(/=+$/, '');
+    const r = h.extractDiscogsUrls('<a href="/ck/a?u=a1' + target + '">x</a>');
+    assert.equal(r.length, 0);
+  });
+
+  it('extracts direct hrefs and dedups against redirects', () => {
+    const html = '<a href="/url?q=https://www.discogs.com/release/5-A&sa=U">x</a>' +
+      '<a href="https://www.discogs.com/release/5-A">y</a>';
+    assert.equal(h.extractDiscogsUrls(html).length, 1);
+  });
+
+  it('returns empty array for pages without Discogs links', () => {
+    assert.equal(h.extractDiscogsUrls('<html>nothing</html>').length, 0);
+  });
+});
+
+describe('DISCOVERY_PROVIDERS', () => {
+  it('has a provider for every ID in the default order', () => {
+    for (const id of h.DEFAULT_PROVIDER_ORDER) assert.ok(h.DISCOVERY_PROVIDERS[id], id);
+  });
+
+  it('html providers build search URLs with the encoded query', () => {
+    for (const id of ['google', 'duckduckgo', 'bing']) {
+      const url = h.DISCOVERY_PROVIDERS[id].buildUrl('A & B discogs');
+      assert.ok(url.startsWith('https://'), id);
+      assert.ok(url.includes('A%20%26%20B'), id);
+    }
+  });
+
+  it('Google CAPTCHA pattern matches the "unusual traffic" page', () => {
+    assert.ok(h.DISCOVERY_PROVIDERS.google.captchaPattern.test('Our systems have detected unusual traffic'));
+    assert.ok(!h.DISCOVERY_PROVIDERS.google.captchaPattern.test('<a href="/url?q=https://www.discogs.com/release/1">'));
+  });
+});
+
+describe('recordProviderOutcome()', () => {
+  it('counts each outcome', () => {
+    const health = {};
+    h.recordProviderOutcome(health, 'google', 'ok', 1000);
+    h.recordProviderOutcome(health, 'google', 'captcha', 2000);
+    assert.equal(health.google.ok, 1);
+    assert.equal(health.google.captcha, 1);
+    assert.equal(health.google.lastStatus, 'captcha');
+    assert.equal(health.google.lastTime, 2000);
+  });
+
+  it('demotes after consecutive CAPTCHA/error results', () => {
+    const health = {};
+    for (let i = 0; i < h.PROVIDER_DEMOTE_AFTER; i++) h.recordProviderOutcome(health, 'google', 'captcha', 1000);
+    assert.equal(health.google.demotedUntil, 1000 + h.PROVIDER_DEMOTE_MS);
+  });
+
+  it('does not demote below the threshold', () => {
+    const health = {};
+    for (let i = 0; i < h.PROVIDER_DEMOTE_AFTER - 1; i++) h.recordProviderOutcome(health, 'bing', 'error', 1000);
+    assert.equal(health.bing.demotedUntil, 0);
+  });
+
+  it('a clean response resets the streak and lifts demotion', () => {
+    const health = {};
+    for (let i = 0; i < h.PROVIDER_DEMOTE_AFTER; i++) h.recordProviderOutcome(health, 'google', 'captcha', 1000);
+    h.recordProviderOutcome(health, 'google', 'empty', 2000);
+    assert.equal(health.google.streak, 0);
+    assert.equal(health.google.demotedUntil, 0);
+  });
+});
+
+describe('orderProviders()', () => {
+  it('uses the default order when nothing is saved', () => {
+    assert.deepEqual([...h.orderProviders(null, {}, 0)], [...h.DEFAULT_PROVIDER_ORDER]);
+  });
+
+  it('respects the saved order and appends missing providers', () => {
+    const r = h.orderProviders(['discogs', 'bing'], {}, 0);
+    assert.deepEqual([...r], ['discogs', 'bing', 'google', 'duckduckgo']);
+  });
+
+  it('drops unknown and duplicate IDs', () => {
+    const r = h.orderProviders(['yahoo', 'bing', 'bing'], {}, 0);
+    assert.equal(r.indexOf('yahoo'), -1);
+    assert.equal(r.filter(id => id === 'bing').length, 1);
+  });
+
+  it('moves demoted providers to the end while demotion lasts', () => {
+    const health = { google: { demotedUntil: 5000 } };
+    assert.equal(h.orderProviders(null, health, 1000).slice(-1)[0], 'google');
+    assert.equal(h.orderProviders(null, health, 6000)[0], 'google');
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 17. ARTIST VERIFICATION
+// ═══════════════════════════════════════════════════════════════
+
+describe('artistMatchScore()', () => {
+  it('exact name match scores 1', () => {
+    assert.equal(h.artistMatchScore('New Order', [{ name: 'New Order' }]), 1);
+  });
+
+  it('ignores disambiguation suffix, case and leading "The"', () => {
+    assert.equal(h.artistMatchScore('Prince', [{ name: 'Prince (2)' }]), 1);
+    assert.equal(h.artistMatchScore('Smiths', [{ name: 'The Smiths' }]), 1);
+    assert.equal(h.artistMatchScore('the CURE', [{ name: 'The Cure' }]), 1);
+  });
+
+  it('matches the artist name variation (ANV)', () => {
+    assert.equal(h.artistMatchScore('Prince & The Revolution', [{ name: 'Prince', anv: 'Prince & The Revolution' }]), 1);
+  });
+
+  it('partial word overlap scores 0.75', () => {
+    assert.equal(h.artistMatchScore('Daft Punk', [{ name: 'Daft Punk & Friends' }]), 0.75);
+  });
+
+  it('different artist scores 0 (covers, same-titled songs)', () => {
+    assert.equal(h.artistMatchScore('New Order', [{ name: 'Orgy' }]), 0);
+  });
+
+  it('short names require an exact match', () => {
+    assert.equal(h.artistMatchScore('U2', [{ name: 'U2' }]), 1);
+    assert.equal(h.artistMatchScore('U2', [{ name: 'U2 Tribute Band' }]), 0);
+  });
+
+  it('uses per-track artists for "Various" compilations', () => {
+    const tracklist = [
+      { title: 'Blue Monday', artists: [{ name: 'New Order' }] },
+      { title: 'Other', artists: [{ name: 'Someone' }] },
+    ];
+    assert.equal(h.artistMatchScore('New Order', [{ name: 'Various' }], tracklist), 1);
+  });
+
+  it('returns null when there is nothing to compare', () => {
+    assert.equal(h.artistMatchScore('', [{ name: 'X' }]), null);
+    assert.equal(h.artistMatchScore('New Order', null), null);
+    assert.equal(h.artistMatchScore('New Order', [{ name: 'Various' }]), null);
+  });
+});
+
+describe('collectArtistNames()', () => {
+  it('includes names, ANVs and track artists but not "Various"', () => {
+    const names = h.collectArtistNames(
+      [{ name: 'Various' }, { name: 'A', anv: 'A.' }],
+      [{ title: 't', artists: [{ name: 'B' }] }, { title: 'u' }]
+    );
+    assert.deepEqual([...names], ['A', 'A.', 'B']);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 18. MATCH CONFIDENCE
+// ═══════════════════════════════════════════════════════════════
+
+describe('trackMatchScore()', () => {
+  const tl = [
+    { title: 'Blue Monday', type_: 'track' },
+    { title: 'Thieves Like Us (Instrumental)', type_: 'track' },
+  ];
+
+  it('exact title scores 1', () => {
+    assert.equal(h.trackMatchScore(tl, 'Blue Monday'), 1);
+  });
+
+  it('fuzzy-equal title scores 1', () => {
+    assert.equal(h.trackMatchScore([{ title: 'Saturday Nite' }], 'Saturday Night'), 1);
+  });
+
+  it('word overlap scores 0.75', () => {
+    assert.equal(h.trackMatchScore(tl, 'Thieves Like Us'), 0.75);
+  });
+
+  it('missing track scores 0', () => {
+    assert.equal(h.trackMatchScore(tl, 'Ceremony'), 0);
+  });
+
+  it('agrees with tracklistContains()', () => {
+    for (const name of ['Blue Monday', 'Thieves Like Us', 'Ceremony', 'Ok', '']) {
+      assert.equal(h.trackMatchScore(tl, name) > 0, h.tracklistContains(tl, name), name);
+    }
+  });
+});
+
+describe('computeConfidence()', () => {
+  it('perfect signals score 100', () => {
+    assert.equal(h.computeConfidence({ rank: 0, trackScore: 1, artistScore: 1, format: 'LP' }), 100);
+  });
+
+  it('fallback matches lose all track credit', () => {
+    const c = h.computeConfidence({ rank: 0, trackScore: null, artistScore: null, fallback: true, format: 'LP' });
+    assert.ok(c < h.LOW_CONFIDENCE, 'fallback with unknown artist should be low confidence: ' + c);
+  });
+
+  it('lower search rank lowers the score', () => {
+    const first = h.computeConfidence({ rank: 0, trackScore: 1, artistScore: 1, format: 'LP' });
+    const fifth = h.computeConfidence({ rank: 4, trackScore: 1, artistScore: 1, format: 'LP' });
+    assert.ok(fifth < first);
+  });
+
+  it('missing format lowers the score', () => {
+    assert.ok(
+      h.computeConfidence({ rank: 0, trackScore: 1, artistScore: 1, format: null }) <
+      h.computeConfidence({ rank: 0, trackScore: 1, artistScore: 1, format: 'LP' })
+    );
+  });
+
+  it('stays within 0–100', () => {
+    const c = h.computeConfidence({ rank: 10, trackScore: 0, artistScore: 0, fallback: true });
+    assert.ok(c >= 0 && c <= 100);
+  });
+});
+
+describe('tagMatch()', () => {
+  it('copies verification signals onto the match', () => {
+    const m = h.tagMatch({ releaseId: 1 }, { rank: 2, trackScore: 0.75, artistScore: 1, fallback: false });
+    assert.equal(m.rank, 2);
+    assert.equal(m.trackScore, 0.75);
+    assert.equal(m.artistScore, 1);
+    assert.equal(m.fallback, false);
+  });
+});
+
+describe('formatSummary()', () => {
+  it('joins format descriptions', () => {
+    assert.equal(h.formatSummary([{ name: 'Vinyl', descriptions: ['12"', '45 RPM'] }]), '12", 45 RPM');
+  });
+
+  it('falls back to the format name', () => {
+    assert.equal(h.formatSummary([{ name: 'Vinyl' }]), 'Vinyl');
+  });
+
+  it('returns null for empty input', () => {
+    assert.equal(h.formatSummary(null), null);
+    assert.equal(h.formatSummary([]), null);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 19. DESCRIPTION HINTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseDescriptionHints()', () => {
+  const topic = [
+    'Provided to YouTube by Warp Records',
+    '',
+    'Windowlicker · Aphex Twin',
+    '',
+    'Windowlicker',
+    '',
+    '℗ 1999 Warp Records',
+    '',
+    'Released on: 1999-03-22',
+    '',
+    'Auto-generated by YouTube.',
+  ].join('\n');
+
+  it('parses the auto-generated "Topic" layout', () => {
+    const r = h.parseDescriptionHints(topic);
+    assert.equal(r.provider, 'Warp Records');
+    assert.equal(r.track, 'Windowlicker');
+    assert.equal(r.artist, 'Aphex Twin');
+    assert.equal(r.album, 'Windowlicker');
+    assert.equal(r.label, 'Warp Records');
+    assert.equal(r.year, 1999);
+  });
+
+  it('does not mistake the ℗ line for the album', () => {
+    const r = h.parseDescriptionHints('Provided to YouTube by X\n\nSong · Artist\n\n℗ 2001 Label');
+    assert.equal(r.album, undefined);
+    assert.equal(r.label, 'Label');
+  });
+
+  it('finds catalog numbers in vinyl-rip descriptions', () => {
+    assert.equal(h.parseDescriptionHints('Ripped from my copy\nCat#: WARP 12\nEnjoy').catno, 'WARP 12');
+    assert.equal(h.parseDescriptionHints('Catalog number: SR-1234').catno, 'SR-1234');
+    assert.equal(h.parseDescriptionHints('Cat. No.: ABC 123').catno, 'ABC 123');
+    assert.equal(h.parseDescriptionHints('CAT#: WARP12 - out now').catno, 'WARP12');
+  });
+
+  it('reads a "Label:" line when there is no ℗ line', () => {
+    assert.equal(h.parseDescriptionHints('Label: Salsoul Records\nYear: 1978').label, 'Salsoul Records');
+  });
+
+  it('returns no hints for empty or unrelated descriptions', () => {
+    assert.equal(Object.keys(h.parseDescriptionHints('')).length, 0);
+    assert.equal(Object.keys(h.parseDescriptionHints('Subscribe for more!\nMy cat loves this song')).length, 0);
+    assert.equal(h.parseDescriptionHints('Catalogue: available on vinyl').catno, undefined);
+    assert.equal(h.parseDescriptionHints('Catalog #: TBA').catno, undefined);
+  });
+});
+
+describe('releaseHintScore()', () => {
+  const match = { title: 'Windowlicker', label: 'Warp Records', catno: 'WAP105' };
+
+  it('returns null without hints', () => {
+    assert.equal(h.releaseHintScore(match, null), null);
+    assert.equal(h.releaseHintScore(match, {}), null);
+  });
+
+  it('scores the share of hints that agree', () => {
+    assert.equal(h.releaseHintScore(match, { album: 'Windowlicker', label: 'Warp', catno: 'WAP 105' }), 1);
+    assert.equal(h.releaseHintScore(match, { album: 'Windowlicker', catno: 'WAP 100' }), 0.5);
+    assert.equal(h.releaseHintScore(match, { label: 'Sony Music' }), 0);
+  });
+
+  it('normalizes catalog numbers and label suffixes', () => {
+    assert.equal(h.normalizeCatno('sr-1234'), 'SR1234');
+    assert.equal(h.normalizeLabel('Warp Records (2)'), 'warp');
+  });
+
+  it('raises confidence when hints agree', () => {
+    const base = { rank: 1, trackScore: 0.75, artistScore: 1, format: 'LP' };
+    assert.ok(h.computeConfidence({ ...base, hintScore: 1 }) > h.computeConfidence(base));
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 20. CATALOG NUMBER DETECTION
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseCatalogHints()', () => {
+  it('finds a bracketed catno and strips it from the title', () => {
+    const r = h.parseCatalogHints('Aphex Twin - Didgeridoo [WARP 12]');
+    assert.equal(r.catno, 'WARP 12');
+    assert.equal(r.text, 'Aphex Twin - Didgeridoo');
+  });
+
+  it('finds a parenthesized dashed catno', () => {
+    const r = h.parseCatalogHints('Artist - Track (SR-1234)');
+    assert.equal(r.catno, 'SR-1234');
+    assert.equal(r.text, 'Artist - Track');
+  });
+
+  it('splits a label prefix from the catno', () => {
+    const r = h.parseCatalogHints('Artist - Track [Warp Records WAP105]');
+    assert.equal(r.catno, 'WAP105');
+    assert.equal(r.label, 'Warp Records');
+  });
+
+  it('recognizes a bare label tag', () => {
+    const r = h.parseCatalogHints('Artist - Track [Strictly Rhythm Records]');
+    assert.equal(r.catno, null);
+    assert.equal(r.label, 'Strictly Rhythm Records');
+    assert.equal(r.text, 'Artist - Track');
+  });
+
+  it('ignores tags that only look like catnos', () => {
+    for (const t of ['Song (Part 2)', 'Song [HD 1080]', 'Song (LP 1983)', 'Song (Vol 3)', 'Song (1983)', 'Song (Dub Mix)']) {
+      assert.equal(h.parseCatalogHints(t).catno, null, t);
+    }
+  });
+
+  it('ignores year-shaped numbers and live / mono tags', () => {
+    const live = h.parseCatalogHints('Artist - Track (Live NYC 2019)');
+    assert.equal(live.catno, null);
+    assert.equal(live.label, null);
+    assert.equal(live.text, 'Artist - Track (Live NYC 2019)');
+    assert.equal(h.parseTrackVersion('Track (Live NYC 2019)').version.kinds[0], 'live');
+    const mono = h.parseCatalogHints('Artist - Track (MONO 1967)');
+    assert.equal(mono.catno, null);
+    assert.equal(mono.text, 'Artist - Track (MONO 1967)');
+    assert.equal(h.parseCatalogHints('Artist - Track [REKIDS 2019]').catno, null);
+    assert.equal(h.parseCatalogHints('Artist - Track [STEREO 45]').catno, null);
+  });
+
+  it('keeps catnos whose number is not a year', () => {
+    assert.equal(h.parseCatalogHints('Artist - Track [WARP 1999X]').catno, 'WARP 1999X');
+    assert.equal(h.parseCatalogHints('Artist - Track [FACT 73]').catno, 'FACT 73');
+  });
+
+  it('leaves titles without tags alone', () => {
+    const r = h.parseCatalogHints('New Order - Blue Monday');
+    assert.equal(r.catno, null);
+    assert.equal(r.label, null);
+    assert.equal(r.text, 'New Order - Blue Monday');
+  });
+});
+
+describe('filterCatnoResults()', () => {
+  const data = { results: [
+    { type: 'release', id: 1, catno: 'WARP 12', title: 'Aphex Twin - Didgeridoo' },
+    { type: 'release', id: 2, catno: 'WARP12', title: 'Someone Else - Other' },
+    { type: 'release', id: 3, catno: 'WARP 120', title: 'Aphex Twin - Other' },
+    { type: 'master', id: 4, catno: 'WARP 12', title: 'Aphex Twin - Didgeridoo' },
+  ] };
+
+  it('keeps only exact catno releases', () => {
+    const r = h.filterCatnoResults(data, 'WARP-12');
+    assert.deepEqual([...r.map(x => x.id)], [1, 2]);
+  });
+
+  it('prefers releases by the parsed artist when the catno is shared', () => {
+    const r = h.filterCatnoResults(data, 'WARP 12', 'Aphex Twin');
+    assert.deepEqual([...r.map(x => x.id)], [1]);
+  });
+
+  it('returns empty for no results', () => {
+    assert.equal(h.filterCatnoResults(null, 'X 1').length, 0);
+  });
+});
+
+describe('releaseToMatch()', () => {
+  it('builds a single-release match with label and catno', () => {
+    const m = h.releaseToMatch({
+      id: 9, title: 'Didgeridoo', year: 1992, country: 'UK',
+      artists: [{ name: 'Aphex Twin' }],
+      labels: [{ name: 'Warp Records', catno: 'WARP 12' }],
+      formats: [{ name: 'Vinyl', descriptions: ['12"'] }],
+    });
+    assert.equal(m.releaseId, 9);
+    assert.equal(m.masterId, null);
+    assert.equal(m.catno, 'WARP 12');
+    assert.equal(m.label, 'Warp Records');
+    assert.equal(m.format, '12"');
+    assert.equal(m.country, 'UK');
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 21. FULL-ALBUM & MIX CHAPTERS
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseChapters()', () => {
+  it('parses "00:00 Title" lines', () => {
+    const r = h.parseChapters('Tracklist:\n00:00 Intro\n03:12 Second\n07:45 Third\nThanks for listening');
+    assert.equal(r.length, 3);
+    assert.equal(r[0].start, 0);
+    assert.equal(r[1].start, 192);
+    assert.equal(r[2].title, 'Third');
+  });
+
+  it('parses numbered, bracketed and hour-long timestamps', () => {
+    const r = h.parseChapters('1. 00:00 - A - One\n2. [12:30] B - Two\n3. (1:02:03) C - Three');
+    assert.deepEqual([...r.map(c => c.start)], [0, 750, 3723]);
+    assert.equal(r[0].title, 'A - One');
+  });
+
+  it('parses title-first lines', () => {
+    const r = h.parseChapters('Opening 0:00\nMiddle 4:10\nClosing 8:20');
+    assert.deepEqual([...r.map(c => c.title)], ['Opening', 'Middle', 'Closing']);
+  });
+
+  it('needs at least three entries', () => {
+    assert.equal(h.parseChapters('00:00 Intro\n03:00 Outro').length, 0);
+    assert.equal(h.parseChapters('').length, 0);
+  });
+});
+
+describe('detectVideoMode()', () => {
+  const album = [{ start: 0, title: 'One' }, { start: 400, title: 'Two' }, { start: 800, title: 'Three' }];
+  const single = [{ start: 0, title: 'Intro' }, { start: 20, title: 'Verse' }, { start: 65, title: 'Chorus' }];
+  const mix = [
+    { start: 0, title: 'A - One' }, { start: 200, title: 'B - Two' }, { start: 400, title: 'C - Three' },
+  ];
+
+  it('"Full Album" in the title means album mode', () => {
+    assert.equal(h.detectVideoMode('Artist - Record (Full Album)', []), 'album');
+  });
+
+  it('single-artist chapters mean album mode', () => {
+    assert.equal(h.detectVideoMode('Artist - Record', album), 'album');
+  });
+
+  it('a short chaptered single stays in track mode', () => {
+    assert.equal(h.detectVideoMode('Artist - Song (Official Video)', single), 'track');
+  });
+
+  it('short chapters still mean album mode when the title says album', () => {
+    assert.equal(h.detectVideoMode('Artist - Record (Album)', single), 'album');
+  });
+
+  it('chapters crediting several artists mean mix mode', () => {
+    assert.equal(h.detectVideoMode('Summer Selection', mix), 'mix');
+  });
+
+  it('mix keywords in the title mean mix mode', () => {
+    assert.equal(h.detectVideoMode('Boiler Room: Someone DJ Set', album), 'mix');
+  });
+
+  it('no chapters means track mode', () => {
+    assert.equal(h.detectVideoMode('Artist - Song', []), 'track');
+  });
+});
+
+describe('chapterAt()', () => {
+  const ch = [{ start: 0 }, { start: 100 }, { start: 250 }];
+  it('finds the chapter playing at a time', () => {
+    assert.equal(h.chapterAt(ch, 0), 0);
+    assert.equal(h.chapterAt(ch, 99.9), 0);
+    assert.equal(h.chapterAt(ch, 100), 1);
+    assert.equal(h.chapterAt(ch, 9999), 2);
+  });
+
+  it('returns -1 before the first chapter or with none', () => {
+    assert.equal(h.chapterAt([{ start: 10 }], 5), -1);
+    assert.equal(h.chapterAt([], 5), -1);
+  });
+});
+
+describe('albumMatchScore()', () => {
+  const master = {
+    title: 'Power, Corruption & Lies',
+    tracklist: [{ title: 'Age Of Consent' }, { title: 'We All Stand' }, { title: 'The Village' }, { title: '5 8 6' }],
+  };
+
+  it('matching album title scores 1', () => {
+    assert.equal(h.albumMatchScore(master, { title: 'Power Corruption & Lies', tracks: [] }), 1);
+  });
+
+  it('falls back to chapter overlap with the tracklist', () => {
+    const r = h.albumMatchScore(master, { title: 'PCL', tracks: ['Age Of Consent', 'We All Stand', 'The Village', 'Leave Me Alone'] });
+    assert.equal(r, 0.75);
+  });
+
+  it('strips "Artist - " from chapter titles', () => {
+    const r = h.albumMatchScore(master, { title: 'x', tracks: ['New Order - Age Of Consent', 'New Order - The Village'] });
+    assert.equal(r, 1);
+  });
+
+  it('rejects albums with little overlap', () => {
+    assert.equal(h.albumMatchScore(master, { title: 'Technique', tracks: ['Fine Time', 'All The Way', 'Round & Round'] }), 0);
+  });
+});
+
+describe('searchCacheKey()', () => {
+  it('separates album lookups from track lookups of the same title', () => {
+    assert.equal(h.searchCacheKey('A - B', null), 'A - B');
+    assert.equal(h.searchCacheKey('A - B', { mode: 'album' }), 'album:A - B');
+    assert.notEqual(h.searchCacheKey('A - B', {}), h.searchCacheKey('A - B', { mode: 'album' }));
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 22. MANUAL MATCH OVERRIDES
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseOverrideUrl()', () => {
+  it('parses a pasted release URL', () => {
+    const r = h.parseOverrideUrl('  https://www.discogs.com/release/249504-Rick-Astley-Never-Gonna-Give-You-Up ');
+    assert.equal(r.type, 'release');
+    assert.equal(r.id, 249504);
+  });
+
+  it('parses master URLs with an artist slug', () => {
+    const r = h.parseOverrideUrl('https://www.discogs.com/Rick-Astley/master/96559');
+    assert.equal(r.type, 'master');
+    assert.equal(r.id, 96559);
+  });
+
+  it('takes the release from a sell-page URL', () => {
+    const r = h.parseOverrideUrl('https://www.discogs.com/sell/release/249504?ships_from=US');
+    assert.equal(r.type, 'release');
+    assert.equal(r.id, 249504);
+  });
+
+  it('rejects anything that is not a Discogs release or master', () => {
+    assert.equal(h.parseOverrideUrl('https://www.discogs.com/artist/72872-Rick-Astley'), null);
+    assert.equal(h.parseOverrideUrl('Rick Astley - Never Gonna Give You Up'), null);
+    assert.equal(h.parseOverrideUrl(''), null);
+    assert.equal(h.parseOverrideUrl(null), null);
+  });
+});
+
+describe('summarizeSearchResults()', () => {
+  it('keeps masters and releases with a canonical URL', () => {
+    const out = h.summarizeSearchResults({ results: [
+      { type: 'master', id: 96559, title: 'Rick Astley - Never Gonna Give You Up', year: '1987', uri: '/master/96559' },
+      { type: 'artist', id: 72872, title: 'Rick Astley' },
+      { type: 'release', id: 249504, title: 'Rick Astley - Never Gonna Give You Up' },
+    ] });
+    assert.equal(out.length, 2);
+    assert.equal(out[0].url, 'https://www.discogs.com/master/96559');
+    assert.equal(out[0].year, '1987');
+    assert.equal(out[1].url, 'https://www.discogs.com/release/249504');
+    assert.equal(out[1].year, null);
+  });
+
+  it('round-trips through parseOverrideUrl', () => {
+    const [r] = h.summarizeSearchResults({ results: [{ type: 'release', id: 1, title: 'x', uri: '/Foo-Bar/release/1' }] });
+    const ov = h.parseOverrideUrl(r.url);
+    assert.equal(ov.type, 'release');
+    assert.equal(ov.id, 1);
+  });
+
+  it('caps the list at 10 and handles empty responses', () => {
+    const many = Array.from({ length: 15 }, (_, i) => ({ type: 'release', id: i + 1, title: 't' }));
+    assert.equal(h.summarizeSearchResults({ results: many }).length, 10);
+    assert.equal(h.summarizeSearchResults(null).length, 0);
+  });
+});
+
+describe('manual override confidence & caching', () => {
+  it('an overridden match is always fully confident', () => {
+    assert.equal(h.computeConfidence({ override: true, fallback: true, rank: 4 }), 100);
+  });
+
+  it('caches by the chosen release, not the video title', () => {
+    assert.equal(h.overrideCacheKey({ type: 'release', id: 5 }), 'override:release:5');
+    assert.notEqual(h.overrideCacheKey({ type: 'master', id: 5 }), h.overrideCacheKey({ type: 'release', id: 5 }));
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 23. VIDEO → RELEASE MAPPING CACHE
+// ═══════════════════════════════════════════════════════════════
+
+describe('slimMatch()', () => {
+  it('keeps identity and confidence signals but no prices', () => {
+    const m = {
+      masterId: 96559, releaseId: 249504, title: 'Never Gonna Give You Up', format: '7", Single',
+      label: 'RCA', catno: 'PB 41447', country: 'UK', artists: 'Rick Astley', year: 1987, thumb: null,
+      rank: 0, trackScore: 1, artistScore: 1, fallback: false, hintScore: 0.5,
+      numForSale: 42, lowestPrice: 1.5,
+    };
+    const s = h.slimMatch(m);
+    assert.equal(s.releaseId, 249504);
+    assert.equal(s.catno, 'PB 41447');
+    assert.equal(s.country, 'UK');
+    assert.equal(s.hintScore, 0.5);
+    assert.equal(s.numForSale, undefined);
+    assert.equal(s.lowestPrice, undefined);
+    assert.equal(h.computeConfidence(s), h.computeConfidence(m));
+  });
+
+  it('survives a JSON round trip (chrome.storage)', () => {
+    const s = JSON.parse(JSON.stringify(h.slimMatch({ masterId: 1, releaseId: null, rank: 2 })));
+    assert.equal(s.masterId, 1);
+    assert.equal(s.releaseId, null);
+    assert.equal(s.rank, 2);
+  });
+});
+
+describe('pruneVideoMatches()', () => {
+  const now = 10 * h.MATCH_CACHE_TTL;
+
+  it('keeps entries for weeks, unlike the 10-minute price cache', () => {
+    const c = h.pruneVideoMatches({ a: { time: now - 7 * 24 * 60 * 60 * 1000 } }, now);
+    assert.ok(c.a);
+  });
+
+  it('drops expired entries', () => {
+    const c = h.pruneVideoMatches({ a: { time: now - h.MATCH_CACHE_TTL - 1 }, b: { time: now } }, now);
+    assert.equal(c.a, undefined);
+    assert.ok(c.b);
+  });
+
+  it('evicts the oldest entries past the cap', () => {
+    const c = {};
+    for (let i = 0; i < h.MATCH_CACHE_MAX + 3; i++) c['v' + i] = { time: now - i };
+    h.pruneVideoMatches(c, now);
+    assert.equal(Object.keys(c).length, h.MATCH_CACHE_MAX);
+    assert.ok(c.v0);
+    assert.equal(c['v' + (h.MATCH_CACHE_MAX + 2)], undefined);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 24. REMIX / VERSION-AWARE MATCHING
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseTrackVersion()', () => {
+  const kinds = (t) => [...(h.parseTrackVersion(t).version?.kinds || [])];
+
+  it('pulls version qualifiers out of parentheses and brackets', () => {
+    const r = h.parseTrackVersion('Blue Monday (Dub Mix)');
+    assert.equal(r.base, 'Blue Monday');
+    assert.deepEqual(kinds('Blue Monday (Dub Mix)'), ['dub']);
+    assert.deepEqual(kinds('Song [Instrumental]'), ['instrumental']);
+    assert.deepEqual(kinds('Song (Extended Version)'), ['extended']);
+    assert.deepEqual(kinds('Song (Radio Edit)'), ['edit']);
+    assert.deepEqual(kinds('Song (Club Mix)'), ['remix']);
+  });
+
+  it('reads remixer credits, including after a dash', () => {
+    const r = h.parseTrackVersion('Clouds - Frankie Knuckles Remix');
+    assert.equal(r.base, 'Clouds');
+    assert.deepEqual(kinds('Clouds - Frankie Knuckles Remix'), ['remix']);
+    assert.equal(r.version.remixer, 'frankie knuckles');
+    assert.equal(h.parseTrackVersion('Song (Radio Edit)').version.remixer, null);
+  });
+
+  it('does not treat a live venue as a remixer', () => {
+    const r = h.parseTrackVersion('Song (Live at Wembley)');
+    assert.deepEqual(kinds('Song (Live at Wembley)'), ['live']);
+    assert.equal(r.version.remixer, null);
+  });
+
+  it('strips "(Original Mix)" without naming a version', () => {
+    const r = h.parseTrackVersion('Song (Original Mix)');
+    assert.equal(r.base, 'Song');
+    assert.equal(r.version, null);
+  });
+
+  it('leaves non-version parentheticals in the base', () => {
+    const r = h.parseTrackVersion('Song (feat. Somebody)');
+    assert.equal(r.base, 'Song (feat. Somebody)');
+    assert.equal(r.version, null);
+  });
+});
+
+describe('version-aware trackMatchScore()', () => {
+  it('scores the exact requested version above the original mix', () => {
+    const both = [{ title: 'Blue Monday' }, { title: 'Blue Monday (Dub Mix)' }];
+    const original = [{ title: 'Blue Monday' }];
+    assert.equal(h.trackMatchScore(both, 'Blue Monday (Dub Mix)'), 1);
+    assert.equal(h.trackMatchScore(original, 'Blue Monday (Dub Mix)'), 0.75);
+  });
+
+  it('a different version scores lower still, but is not rejected', () => {
+    const tl = [{ title: 'Blue Monday (Extended Version)' }];
+    assert.equal(h.trackMatchScore(tl, 'Blue Monday (Dub Mix)'), 0.5);
+    assert.equal(h.tracklistContains(tl, 'Blue Monday (Dub Mix)'), true);
+  });
+
+  it('keeps "Blue Monday" matching its remix at partial score', () => {
+    assert.equal(h.trackMatchScore([{ title: 'Blue Monday (Remix)' }], 'Blue Monday'), 0.75);
+    assert.equal(h.trackMatchScore([{ title: 'Blue Monday' }], 'Blue Monday'), 1);
+  });
+
+  it('checks named remixers against track remix credits', () => {
+    const credited = [{ title: 'Clouds (Remix)', extraartists: [{ name: 'Frankie Knuckles', role: 'Remix' }] }];
+    const other = [{ title: 'Clouds (Remix)', extraartists: [{ name: 'Larry Heard', role: 'Remix' }] }];
+    assert.equal(h.trackMatchScore(credited, 'Clouds (Frankie Knuckles Remix)'), 1);
+    assert.equal(h.trackMatchScore(other, 'Clouds (Frankie Knuckles Remix)'), 0.5);
+  });
+
+  it('still rejects different songs', () => {
+    assert.equal(h.trackMatchScore([{ title: 'Firestarter (Dub)' }], 'Fire (Dub)'), 0);
+  });
+});
+
+describe('versionMatchScore()', () => {
+  const dub = { kinds: ['dub'], remixer: null };
+  it('1 for the same version or two originals', () => {
+    assert.equal(h.versionMatchScore(null, null, []), 1);
+    assert.equal(h.versionMatchScore(dub, { kinds: ['dub', 'remix'], remixer: null }, []), 1);
+  });
+
+  it('0.75 when one side is the original, 0.5 for another version', () => {
+    assert.equal(h.versionMatchScore(dub, null, []), 0.75);
+    assert.equal(h.versionMatchScore(null, dub, []), 0.75);
+    assert.equal(h.versionMatchScore(dub, { kinds: ['extended'], remixer: null }, []), 0.5);
+  });
+});
+
+describe('pressingCarriesVersion()', () => {
+  const dub = { kinds: ['dub'], remixer: null };
+  const pressing = (extra) => ({ masterId: 9, releaseId: 2, mainRelease: 1, trackScore: 1, ...extra });
+
+  it('uses the track score for releases scored on their own tracklist', () => {
+    assert.equal(h.pressingCarriesVersion({ masterId: null, releaseId: 5, trackScore: 1, title: 'X' }, dub), true);
+    assert.equal(h.pressingCarriesVersion({ masterId: null, releaseId: 5, trackScore: 0.75, title: 'X' }, dub), false);
+    assert.equal(h.pressingCarriesVersion(pressing({ releaseId: 1, title: 'Blue Monday' }), dub), true);
+  });
+
+  it("ignores the master's score for other pressings", () => {
+    assert.equal(h.pressingCarriesVersion(pressing({ title: 'Blue Monday', format: '12", 45 RPM' }), dub), false);
+  });
+
+  it('goes by the pressing title and format descriptions', () => {
+    assert.equal(h.pressingCarriesVersion(pressing({ title: 'Blue Monday (Dub Mix)' }), dub), true);
+    assert.equal(h.pressingCarriesVersion(pressing({ title: 'Blue Monday (Extended)', trackScore: 0.75 }), dub), false);
+    assert.equal(h.pressingCarriesVersion(pressing({ title: 'Blue Monday', format: '12", Dub' }), dub), true);
+    assert.equal(h.pressingCarriesVersion(pressing({ title: 'Blue Monday', format: '12", Remix' }),
+      { kinds: ['remix'], remixer: null }), true);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 25. UNICODE TITLES (accents, CJK, Cyrillic, Greek)
+// ═══════════════════════════════════════════════════════════════
+
+describe('Unicode-aware normalize()', () => {
+  it('folds diacritics', () => {
+    assert.equal(h.normalize('Café'), 'cafe');
+    assert.equal(h.normalize('Ação'), 'acao');
+    assert.equal(h.normalize('Mãe Preta'), 'mae preta');
+    assert.equal(h.normalize('Røyksopp'), 'royksopp');
+  });
+
+  it('keeps Japanese, Cyrillic and Greek letters', () => {
+    assert.equal(h.normalize('真夜中のドア'), '真夜中のドア');
+    assert.equal(h.normalize('プラスティック・ラブ'), 'プラスティック ラブ');
+    assert.equal(h.normalize('Кино'), 'кино');
+    assert.equal(h.normalize('Καλημέρα'), 'καλημερα');
+  });
+
+  it('keeps kana voicing marks and folds full-width forms', () => {
+    assert.equal(h.normalize('がんばれ'), 'がんばれ');
+    assert.equal(h.normalize('ＡＢＣ'), 'abc');
+  });
+
+  it('treats CJK punctuation as a word break', () => {
+    assert.equal(h.normalize('真夜中のドア〜Stay With Me'), '真夜中のドア stay with me');
+  });
+
+  it('folds Greek final sigma', () => {
+    assert.equal(h.normalize('ΕΡΩΣ'), h.normalize('ερωσ'));
+  });
+});
+
+describe('non-Latin track & artist matching', () => {
+  it('matches native-script titles', () => {
+    const tl = [{ title: '真夜中のドア〜Stay With Me' }, { title: 'Bショート' }];
+    assert.equal(h.trackMatchScore(tl, '真夜中のドア〜Stay With Me'), 1);
+    assert.equal(h.trackMatchScore(tl, '真夜中のドア'), 0.75);
+    assert.equal(h.trackMatchScore([{ title: 'Группа крови' }], 'Группа Крови'), 1);
+  });
+
+  it('matches either side of a Discogs " = " translation', () => {
+    const tl = [{ title: 'Mayonaka No Door = 真夜中のドア' }];
+    assert.equal(h.trackMatchScore(tl, '真夜中のドア'), 1);
+    assert.equal(h.trackMatchScore(tl, 'Mayonaka no Door'), 1);
+  });
+
+  it('is unknown, not a miss, when only the other script is on Discogs', () => {
+    assert.equal(h.trackMatchScore([{ title: 'Mayonaka No Door' }], '真夜中のドア'), null);
+    assert.equal(h.tracklistContains([{ title: 'Mayonaka No Door' }], '真夜中のドア'), false);
+    assert.equal(h.artistMatchScore('松原みき', [{ name: 'Miki Matsubara' }], null), null);
+  });
+
+  it('still rejects a different title in the same script', () => {
+    assert.equal(h.trackMatchScore([{ title: 'プラスティック・ラブ' }], '真夜中のドア'), 0);
+    assert.equal(h.artistMatchScore('竹内まりや', [{ name: '松原みき' }], null), 0);
+  });
+
+  it('matches accented artists typed without accents', () => {
+    assert.equal(h.artistMatchScore('Joao Gilberto', [{ name: 'João Gilberto' }], null), 1);
+  });
+});
+
+describe('parseArtistTrack() with Japanese quotes', () => {
+  it('splits 「」-quoted track titles', () => {
+    const r = h.parseArtistTrack('松原みき「真夜中のドア〜stay with me」');
+    assert.equal(r.artist, '松原みき');
+    assert.equal(r.track, '真夜中のドア〜stay with me');
+  });
+});
+
+describe('scriptsDiffer() / titleVariants()', () => {
+  it('only flags pairs with no script in common', () => {
+    assert.equal(h.scriptsDiffer('mayonaka no door', '真夜中のドア'), true);
+    assert.equal(h.scriptsDiffer('真夜中のドア stay with me', 'stay with me'), false);
+    assert.equal(h.scriptsDiffer('blue monday', 'blue monday 88'), false);
+  });
+
+  it('splits " = " translations', () => {
+    assert.deepEqual([...h.titleVariants('A = B')], ['A = B', 'A', 'B']);
+    assert.deepEqual([...h.titleVariants('A=B')], ['A=B']);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 26. FEATURING / VS / & ARTIST CREDITS
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseArtistCredits()', () => {
+  it('splits featured artists off the primary ones', () => {
+    const c = h.parseArtistCredits('Artist A feat. Artist B');
+    assert.equal(c.main, 'Artist A');
+    assert.deepEqual([...c.primary], ['Artist A']);
+    assert.deepEqual([...c.featured], ['Artist B']);
+  });
+
+  it('splits &, vs., x and comma collaborations', () => {
+    assert.deepEqual([...h.parseArtistCredits('A & B').primary], ['A', 'B']);
+    assert.deepEqual([...h.parseArtistCredits('Armand Van Helden vs. Tara McDonald').primary], ['Armand Van Helden', 'Tara McDonald']);
+    assert.deepEqual([...h.parseArtistCredits('Skepta x Portable').primary], ['Skepta', 'Portable']);
+    assert.deepEqual([...h.parseArtistCredits('A, B ft. C & D').featured], ['C', 'D']);
+  });
+
+  it('does not split names that merely end in X', () => {
+    assert.deepEqual([...h.parseArtistCredits('Malcolm X').primary], ['Malcolm X']);
+  });
+
+  it('keeps a comma inside one name unless another separator is there', () => {
+    assert.deepEqual([...h.parseArtistCredits('Tyler, The Creator').primary], ['Tyler, The Creator']);
+    assert.deepEqual([...h.parseArtistCredits('A, B & C').primary], ['A', 'B', 'C']);
+    assert.deepEqual([...h.parseArtistCredits('Mark Ronson feat. Drake, Rihanna').featured], ['Drake', 'Rihanna']);
+  });
+});
+
+describe('parseArtistTrack() credits', () => {
+  it('keeps the searchable main artist and lists primaries', () => {
+    const r = h.parseArtistTrack('Daft Punk feat. Pharrell Williams - Get Lucky');
+    assert.equal(r.artist, 'Daft Punk');
+    assert.equal(r.track, 'Get Lucky');
+    assert.deepEqual([...r.featured], ['Pharrell Williams']);
+  });
+
+  it('moves "(feat. X)" out of the track half', () => {
+    const r = h.parseArtistTrack('Gorillaz - Feel Good Inc (feat. De La Soul)');
+    assert.equal(r.track, 'Feel Good Inc');
+    assert.deepEqual([...r.featured], ['De La Soul']);
+    assert.equal(h.parseArtistTrack('Mark Ronson - Uptown Funk ft. Bruno Mars').track, 'Uptown Funk');
+  });
+
+  it('leaves ordinary "with" titles alone', () => {
+    assert.equal(h.parseArtistTrack('Billy Idol - Dancing With Myself').track, 'Dancing With Myself');
+  });
+});
+
+describe('multi-artist artistMatchScore()', () => {
+  it('matches when every primary artist is credited', () => {
+    const artists = [{ name: 'Simon', join: '&' }, { name: 'Garfunkel' }];
+    assert.equal(h.artistMatchScore('Garfunkel & Simon', artists, null), 1);
+  });
+
+  it('partially matches when only some primaries are credited', () => {
+    assert.equal(h.artistMatchScore('Skepta x Portable', [{ name: 'Skepta' }], null), 0.75);
+  });
+
+  it('gives collaborator credit for exact names only', () => {
+    assert.equal(h.artistMatchScore('Chase & Status', [{ name: 'Status Quo' }], null), 0);
+    assert.equal(h.artistMatchScore('Tyler, The Creator', [{ name: 'Tyler, The Creator' }], null), 1);
+    assert.equal(h.artistMatchScore('Tyler, The Creator', [{ name: 'The Creators' }], null), 0);
+    assert.equal(h.artistMatchScore('Earth, Wind & Fire', [{ name: 'Earth, Wind & Fire' }], null), 1);
+  });
+
+  it('finds collaborators in performer extraartists', () => {
+    const extra = [{ name: 'Tara McDonald', role: 'Vocals' }, { name: 'Some Engineer', role: 'Mastered By' }];
+    assert.equal(h.artistMatchScore('Armand Van Helden vs. Tara McDonald', [{ name: 'Armand Van Helden' }], null, extra), 1);
+    assert.equal(h.artistMatchScore('Some Engineer', [{ name: 'Armand Van Helden' }], null, extra), 0);
+  });
+
+  it('ignores featured artists and track-level credits work too', () => {
+    assert.equal(h.artistMatchScore('Nobody feat. Daft Punk', [{ name: 'Daft Punk' }], null), 0);
+    const tl = [{ title: 'x', extraartists: [{ name: 'Pharrell Williams', role: 'Featuring' }] }];
+    assert.equal(h.artistMatchScore('Pharrell Williams', [{ name: 'Daft Punk' }], tl), 1);
+  });
+});
+
+describe('extractArtistNames() joins', () => {
+  it('keeps Discogs join words', () => {
+    assert.equal(h.extractArtistNames([{ name: 'Daft Punk', join: 'Feat.' }, { name: 'Pharrell Williams (2)', join: '' }]),
+      'Daft Punk Feat. Pharrell Williams');
+    assert.equal(h.extractArtistNames([{ name: 'A', join: ',' }, { name: 'B' }]), 'A, B');
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 27. MASTER VERSION SELECTION
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseSellListReleaseIds()', () => {
+  it('lists release IDs in sell-page (price) order without repeats', () => {
+    const html = `
+      <a href="/release/300-Artist-Title" class="item_release_link">A</a>
+      <a href="/master/9-Artist-Title">master</a>
+      <a href="https://www.discogs.com/release/100-Artist-Title">B</a>
+      <a href="/release/300-Artist-Title">again</a>
+      <a href="/fr/release/200-Artist-Title">C</a>`;
+    assert.deepEqual([...h.parseSellListReleaseIds(html)], [300, 100, 200]);
+  });
+
+  it('handles empty pages', () => {
+    assert.equal(h.parseSellListReleaseIds('').length, 0);
+    assert.equal(h.parseSellListReleaseIds(null).length, 0);
+  });
+});
+
+describe('selectVersions()', () => {
+  const v = (id, fmt = 'Vinyl') => ({ id, major_formats: [fmt] });
+  const versions = [v(1), v(2), v(3, 'CD'), v(4), v(5), v(6)];
+  const ids = (list) => [...list].map((x) => x.id);
+
+  it('puts versions with listings first, cheapest first', () => {
+    assert.deepEqual(ids(h.selectVersions(versions, [6, 4], 3, {})), [6, 4, 1]);
+  });
+
+  it('falls back to newest-first order without listings', () => {
+    assert.deepEqual(ids(h.selectVersions(versions, [], 2, {})), [1, 2]);
+  });
+
+  it('skips non-vinyl, already-seen and unknown listed IDs', () => {
+    assert.deepEqual(ids(h.selectVersions(versions, [3, 99, 5], 10, { 1: true })), [5, 2, 4, 6]);
+  });
+
+  it('respects the cap', () => {
+    assert.equal(h.selectVersions(versions, [1, 2, 4, 5, 6], 2, {}).length, 2);
+  });
+});
+
+describe('versionsSettled()', () => {
+  const v = (id) => ({ id, major_formats: ['Vinyl'] });
+  const page1 = [v(1), v(2), v(3)];
+
+  it('not while the pick is short of the cap', () => {
+    assert.equal(h.versionsSettled(page1, [], 5, {}), false);
+  });
+
+  it('a full pick with no listings needs no more pages', () => {
+    assert.equal(h.versionsSettled(page1, [], 2, {}), true);
+  });
+
+  it('waits for listed releases that would rank ahead of a pick', () => {
+    assert.equal(h.versionsSettled(page1, [9, 2], 2, {}), false);
+    assert.equal(h.versionsSettled(page1, [2, 9], 2, {}), false);   // 9 would replace the unlisted filler
+    assert.equal(h.versionsSettled(page1, [2, 3, 9], 2, {}), true);  // 9 ranks behind both picks
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 28. FORMAT FILTERS
+// ═══════════════════════════════════════════════════════════════
+
+describe('classifyFormat()', () => {
+  const tags = (f) => [...h.classifyFormat(f)];
+
+  it('reads sizes and kinds from version and release format strings', () => {
+    assert.deepEqual(tags('7", Single'), ['7in']);
+    assert.deepEqual(tags('12", 33 ⅓ RPM, EP'), ['12in', 'ep']);
+    assert.deepEqual(tags('LP, Album, RE'), ['lp', 'reissue']);
+    assert.deepEqual(tags('12", Single, Promo'), ['12in', 'promo']);
+    assert.deepEqual(tags('12", TP, W/Lbl'), ['12in', 'test']);
+  });
+
+  it('does not call an LP or box set a 12" single', () => {
+    assert.deepEqual(tags('12", LP, Album'), ['lp']);
+    assert.deepEqual(tags('Box Set, 12", LP'), ['lp', 'box']);
+  });
+
+  it('does not mistake 112 or 1987 for a size', () => {
+    assert.deepEqual(tags('Album 1987'), ['lp']);
+    assert.equal(tags('112 RPM').length, 0);
+  });
+
+  it('returns no tags for unknown formats', () => {
+    assert.equal(tags(null).length, 0);
+  });
+});
+
+const fm = (format) => ({ releaseId: 1, format });
+
+describe('matchesFormatFilter()', () => {
+  const f = (o) => Object.assign({}, h.DEFAULT_FORMAT_FILTER, o);
+
+  it('passes everything with the default filter', () => {
+    assert.equal(h.matchesFormatFilter(fm('7", Single'), f({})), true);
+  });
+
+  it('keeps only chosen sizes / kinds', () => {
+    const djs = f({ types: ['12in'] });
+    assert.equal(h.matchesFormatFilter(fm('12", Single'), djs), true);
+    assert.equal(h.matchesFormatFilter(fm('7", Single'), djs), false);
+    assert.equal(h.matchesFormatFilter(fm('LP, Album'), djs), false);
+  });
+
+  it('drops promos and test pressings when unticked', () => {
+    assert.equal(h.matchesFormatFilter(fm('12", Promo'), f({ promo: false })), false);
+    assert.equal(h.matchesFormatFilter(fm('12", TP'), f({ test: false })), false);
+  });
+
+  it('splits originals from reissues', () => {
+    assert.equal(h.matchesFormatFilter(fm('LP, Album, RE'), f({ pressing: 'original' })), false);
+    assert.equal(h.matchesFormatFilter(fm('LP, Album'), f({ pressing: 'original' })), true);
+    assert.equal(h.matchesFormatFilter(fm('LP, Album'), f({ pressing: 'reissue' })), false);
+  });
+
+  it('dates pressings like the badges do (main release, year vs master)', () => {
+    const orig = f({ pressing: 'original' }), re = f({ pressing: 'reissue' });
+    const later = { releaseId: 2, format: 'LP, Album', year: 1999, mainRelease: 1, masterYear: 1987 };
+    const first = { releaseId: 1, format: 'LP, Album', year: 1987, mainRelease: 1, masterYear: 1987 };
+    assert.equal(h.classifyPressing(later), 'reissue');
+    assert.equal(h.matchesFormatFilter(later, orig), false);
+    assert.equal(h.matchesFormatFilter(later, re), true);
+    assert.equal(h.matchesFormatFilter(first, orig), true);
+    assert.equal(h.matchesFormatFilter(first, re), false);
+  });
+
+  it('selectVersions dates versions against the master', () => {
+    const versions = [
+      { id: 1, major_formats: ['Vinyl'], format: 'LP, Album', released: '1987' },
+      { id: 2, major_formats: ['Vinyl'], format: 'LP, Album', released: '2015' },
+    ];
+    const master = { main_release: 1, year: 1987 };
+    const picked = h.selectVersions(versions, [], 10, {}, f({ pressing: 'original' }), master);
+    assert.deepEqual([...picked].map((v) => v.id), [1]);
+  });
+
+  it('lets unknown formats through', () => {
+    assert.equal(h.matchesFormatFilter(fm(null), f({ types: ['12in'] })), true);
+  });
+});
+
+describe('format filter cache keys', () => {
+  it('default filter adds nothing; others change the key', () => {
+    assert.equal(h.formatFilterKey(h.DEFAULT_FORMAT_FILTER), '');
+    assert.equal(h.resultCacheKey('A - B', null, null, ''), 'A - B');
+    const k = h.formatFilterKey({ types: ['lp', '12in'], promo: false, test: true, pressing: 'original' });
+    assert.equal(k, '12in+lp|-promo|original');
+    assert.equal(h.resultCacheKey('A - B', null, null, k), 'A - B#' + k);
+  });
+});
+
+describe('selectVersions() with a format filter', () => {
+  it('skips versions outside the filter', () => {
+    const versions = [
+      { id: 1, major_formats: ['Vinyl'], format: '7", Single' },
+      { id: 2, major_formats: ['Vinyl'], format: '12", Single' },
+    ];
+    const picked = h.selectVersions(versions, [1], 10, {}, { types: ['12in'] });
+    assert.deepEqual([...picked].map((v) => v.id), [2]);
+  });
+
+  it('nothing passes the filter, but vinyl exists without it (master fallback is marked)', () => {
+    const versions = [{ id: 1, major_formats: ['Vinyl'], format: '7", Single' }];
+    assert.equal(h.selectVersions(versions, [], 10, {}, { types: ['12in'] }).length, 0);
+    assert.equal(h.selectVersions(versions, [], 10, {}, null).length, 1);
+  });
+
+  it('slimMatch keeps the fallback marker for known videos', () => {
+    assert.equal(h.slimMatch({ masterId: 5, releaseId: null, formatFiltered: true }).formatFiltered, true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 29. ORIGINAL PRESSING VS REPRESS VS REISSUE
+// ═══════════════════════════════════════════════════════════════
+
+describe('classifyPressing()', () => {
+  it('trusts RE / RP format descriptions first', () => {
+    assert.equal(h.classifyPressing({ releaseId: 2, mainRelease: 2, format: 'LP, Album, RE' }), 'reissue');
+    assert.equal(h.classifyPressing({ releaseId: 3, format: '12", RP' }), 'repress');
+    assert.equal(h.classifyPressing({ releaseId: 3, format: 'LP, Album, Remastered' }), 'reissue');
+  });
+
+  it("treats the master's main release as the original", () => {
+    assert.equal(h.classifyPressing({ releaseId: 7, mainRelease: 7, format: 'LP, Album', year: 1999, masterYear: 1994 }), 'original');
+  });
+
+  it('falls back to the year gap from the first release', () => {
+    assert.equal(h.classifyPressing({ releaseId: 8, mainRelease: 7, year: 1995, masterYear: 1994 }), 'original');
+    assert.equal(h.classifyPressing({ releaseId: 9, mainRelease: 7, year: 2016, masterYear: 1994 }), 'reissue');
+  });
+
+  it("returns null when it can't tell", () => {
+    assert.equal(h.classifyPressing({ releaseId: 9, format: 'LP' }), null);
+    assert.equal(h.classifyPressing({ masterId: 5, format: 'LP, RE' }), null);
+  });
+});
+
+describe('summarizePressings()', () => {
+  it('aggregates count, lowest and median per group', () => {
+    const s = h.summarizePressings([
+      { pressing: 'original', numForSale: 2, lowestPrice: 40, prices: [40, 60] },
+      { pressing: 'original', numForSale: 1, lowestPrice: 35, prices: [35] },
+      { pressing: 'reissue', numForSale: 4, lowestPrice: 20, prices: [20, 22, 24, 30] },
+      { pressing: null, numForSale: 9, lowestPrice: 1, prices: [1] },
+    ]);
+    assert.deepEqual(Object.keys(s).sort(), ['original', 'reissue']);
+    assert.equal(s.original.numForSale, 3);
+    assert.equal(s.original.lowestPrice, 35);
+    assert.equal(s.original.medianPrice, 40);
+    assert.equal(s.original.matchCount, 2);
+    assert.equal(s.reissue.lowestPrice, 20);
+  });
+});
+
+describe('format tags for represses', () => {
+  it('tags RP / Repress separately from reissues', () => {
+    assert.deepEqual([...h.classifyFormat('12", RP')], ['12in', 'repress']);
+    assert.equal(h.matchesFormatFilter(fm('12", Repress'), Object.assign({}, h.DEFAULT_FORMAT_FILTER, { pressing: 'original' })), false);
+    assert.equal(h.matchesFormatFilter(fm('12", RP'), Object.assign({}, h.DEFAULT_FORMAT_FILTER, { pressing: 'reissue' })), true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 30. SHIPS-FROM COUNTRIES
+// ═══════════════════════════════════════════════════════════════
+
+describe('shipsFromMatches()', () => {
+  it('matches whole country names, ignoring case and padding', () => {
+    assert.equal(h.shipsFromMatches('  United Kingdom ', ['united kingdom']), true);
+    assert.equal(h.shipsFromMatches('Germany', ['United Kingdom', 'Germany']), true);
+    assert.equal(h.shipsFromMatches('United States', ['United Kingdom']), false);
+    assert.equal(h.shipsFromMatches('', ['Japan']), false);
+  });
+});
+
+describe('parseFilteredPage() with a ships-from list', () => {
+  const html = `
+    1 - 4 of 4
+    Media Condition: Very Good Plus (VG+) Sleeve Condition: VG $30.00 Ships From: United States
+    Media Condition: Near Mint (NM or M-) Sleeve Condition: VG $25.00 Ships From: <a href="#">Germany</a>
+    Media Condition: Very Good (VG) Sleeve Condition: G $12.00 Ships From: United Kingdom
+    Media Condition: Very Good (VG) Sleeve Condition: G $9.00 Ships From: Japan
+  `;
+
+  it('keeps only listings from the chosen countries', () => {
+    const pg = h.parseFilteredPage(html, ['United Kingdom', 'Germany'], false);
+    assert.equal(pg.listingsOnPage, 4);
+    assert.equal(pg.matched, 2);
+    assert.equal(pg.lowest, 12);
+  });
+
+  it('combines with the VG+ filter', () => {
+    const pg = h.parseFilteredPage(html, ['United Kingdom', 'Germany'], VG_PLUS_MIN);
+    assert.equal(pg.matched, 1);
+    assert.equal(pg.lowest, 25);
+  });
+
+  it('an empty list means worldwide', () => {
+    assert.equal(h.parseFilteredPage(html, [], false).matched, 4);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 31. MINIMUM MEDIA / SLEEVE GRADE
+// ═══════════════════════════════════════════════════════════════
+
+describe('gradeRank()', () => {
+  it('ranks full names and abbreviations alike', () => {
+    assert.equal(h.gradeRank('Very Good (VG)'), 4);
+    assert.equal(h.gradeRank('VG'), 4);
+    assert.equal(h.gradeRank('VG+'), 3);
+    assert.equal(h.gradeRank('NM'), 2);
+    assert.equal(h.gradeRank('M-'), 2);
+  });
+
+  it('has no rank for ungraded sleeves', () => {
+    assert.equal(h.gradeRank('Generic'), null);
+    assert.equal(h.gradeRank('No Cover'), null);
+    assert.equal(h.gradeRank(null), null);
+  });
+});
+
+describe('meetsGrade()', () => {
+  it('passes everything without a minimum', () => {
+    assert.equal(h.meetsGrade('Poor (P)', null), true);
+    assert.equal(h.meetsGrade(null, ''), true);
+  });
+
+  it('a VG minimum lets DJ copies through but not G+', () => {
+    assert.equal(h.meetsGrade('Very Good (VG)', 'Very Good (VG)'), true);
+    assert.equal(h.meetsGrade('Good Plus (G+)', 'Very Good (VG)'), false);
+  });
+
+  it('an NM minimum is shelf copies only', () => {
+    assert.equal(h.meetsGrade('Very Good Plus (VG+)', 'Near Mint (NM or M-)'), false);
+    assert.equal(h.meetsGrade('Mint (M)', 'Near Mint (NM or M-)'), true);
+  });
+});
+
+describe('parseFilteredPage() with media and sleeve minimums', () => {
+  const html = `
+    1 - 4 of 4
+    <div>Media Condition: Very Good (VG)</div><div>Sleeve Condition: Near Mint (NM or M-)</div><span>$8.00</span><div>Ships From: Germany</div>
+    <div>Media Condition: Near Mint (NM or M-)</div><div>Sleeve Condition: Generic</div><span>$15.00</span><div>Ships From: Germany</div>
+    <div>Media Condition: Near Mint (NM or M-)</div><div>Sleeve Condition: VG</div><span>$20.00</span><div>Ships From: Germany</div>
+    <div>Media Condition: Mint (M)</div><div>Sleeve Condition: Very Good Plus (VG+)</div><span>$40.00</span><div>Ships From: Germany</div>
+  `;
+
+  it('a VG media minimum keeps every listing here', () => {
+    assert.equal(h.parseFilteredPage(html, null, { media: 'Very Good (VG)' }).matched, 4);
+  });
+
+  it('an NM media minimum drops the VG copy', () => {
+    const pg = h.parseFilteredPage(html, null, { media: 'Near Mint (NM or M-)' });
+    assert.equal(pg.matched, 3);
+    assert.equal(pg.lowest, 15);
+  });
+
+  it('a sleeve minimum reads Sleeve Condition and skips generic sleeves', () => {
+    const pg = h.parseFilteredPage(html, null, { media: null, sleeve: 'Very Good Plus (VG+)' });
+    assert.equal(pg.matched, 2);
+    assert.deepEqual([...pg.prices], [8, 40]);
+  });
+
+  it('combines media and sleeve minimums', () => {
+    const pg = h.parseFilteredPage(html, null, { media: 'Near Mint (NM or M-)', sleeve: 'Very Good (VG)' });
+    assert.equal(pg.matched, 2);
+    assert.equal(pg.lowest, 20);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 32. LANDED COST (PRICE + SHIPPING)
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseShipping()', () => {
+  const rates = { EUR: 0.847, GBP: 0.739 };
+
+  it('reads "+$6.00" and "shipping $25"', () => {
+    assert.equal(h.parseShipping('$50.00 +$6.00 shipping', rates), 6);
+    assert.equal(h.parseShipping('$3.00 shipping $25.00', rates), 25);
+  });
+
+  it('prefers the "+" amount over a later total', () => {
+    assert.equal(h.parseShipping('$50.00 +$6.00 shipping $56.00', rates), 6);
+  });
+
+  it('converts foreign postage to USD', () => {
+    assert.equal(h.parseShipping('€25.00 +€5.00', rates), Math.round((5 / 0.847) * 100) / 100);
+  });
+
+  it('free shipping is 0, no quote is null', () => {
+    assert.equal(h.parseShipping('$12.00 Free shipping', rates), 0);
+    assert.equal(h.parseShipping('$12.00 Ships From: Germany', rates), null);
+  });
+
+  it('does not mistake a VG+ grade for postage', () => {
+    assert.equal(h.parseShipping('Sleeve Condition: VG+ $12.00', rates), null);
+  });
+});
+
+describe('parseFilteredPage() landed prices', () => {
+  const html = `
+    1 - 3 of 3
+    Media Condition: Very Good Plus (VG+) Sleeve Condition: VG $3.00 +$25.00 shipping Ships From: United States
+    Media Condition: Very Good Plus (VG+) Sleeve Condition: VG $12.00 +$4.00 shipping Ships From: United States
+    Media Condition: Very Good Plus (VG+) Sleeve Condition: VG $9.00 Ships From: United States
+  `;
+
+  it('keeps item prices as before', () => {
+    const pg = h.parseFilteredPage(html, null, null);
+    assert.equal(pg.lowest, 3);
+    assert.equal(pg.prices.length, 3);
+  });
+
+  it('adds shipping where quoted — the $12 + $4 copy is cheapest landed', () => {
+    const pg = h.parseFilteredPage(html, null, null);
+    assert.deepEqual([...pg.landed], [28, 16]);
+    assert.equal(pg.landedLowest, 16);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 33. DISPLAY CURRENCY
+// ═══════════════════════════════════════════════════════════════
+
+describe('fmtPrice() display currency', () => {
+  it('converts from USD at the given rate', () => {
+    assert.equal(h.fmtPrice(10, { code: 'EUR', rate: 0.847 }), new Intl.NumberFormat(undefined, { style: 'currency', currency: 'EUR' }).format(8.47));
+  });
+
+  it('JPY has no minor units', () => {
+    assert.ok(!/[.,]\d{2}$/.test(h.fmtPrice(10, { code: 'JPY', rate: 154.4 })));
+    assert.ok(h.fmtPrice(10, { code: 'JPY', rate: 154.4 }).includes('1,544'));
+  });
+
+  it('still returns dash for null', () => {
+    assert.equal(h.fmtPrice(null, { code: 'GBP', rate: 0.739 }), '—');
+  });
+});
+
+describe('suggestionsToUSD()', () => {
+  const rates = { EUR: 0.847, GBP: 0.739 };
+
+  it('converts each grade from the account currency', () => {
+    const out = h.suggestionsToUSD({
+      'Very Good Plus (VG+)': { currency: 'EUR', value: 20 },
+      'Near Mint (NM or M-)': { currency: 'EUR', value: 30 },
+    }, rates);
+    assert.equal(out['Very Good Plus (VG+)'].currency, 'USD');
+    assert.equal(out['Very Good Plus (VG+)'].value, h.convertToUSD(20, 'EUR', rates));
+    assert.equal(out['Near Mint (NM or M-)'].value, h.convertToUSD(30, 'EUR', rates));
+  });
+
+  it('leaves USD suggestions alone and drops empty ones', () => {
+    const out = h.suggestionsToUSD({
+      'Mint (M)': { currency: 'USD', value: 45.5 },
+      'Poor (P)': null,
+    }, rates);
+    assert.equal(out['Mint (M)'].value, 45.5);
+    assert.ok(!('Poor (P)' in out));
+  });
+
+  it('handles a missing response', () => {
+    assert.deepEqual({ ...h.suggestionsToUSD(null, rates) }, {});
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 34. OAUTH 1.0a SIGNING
+// ═══════════════════════════════════════════════════════════════
+
+describe('oauthEncode()', () => {
+  it('percent-encodes the RFC 3986 reserved set', () => {
+    assert.equal(h.oauthEncode("a b&c=d!'()*"), 'a%20b%26c%3Dd%21%27%28%29%2A');
+  });
+
+  it('leaves unreserved characters alone', () => {
+    assert.equal(h.oauthEncode('AZaz09-._~'), 'AZaz09-._~');
+  });
+});
+
+describe('oauthHeader()', () => {
+  const params = {
+    oauth_consumer_key: 'key',
+    oauth_nonce: 'abc',
+    oauth_signature_method: 'PLAINTEXT',
+    oauth_timestamp: '1700000000',
+    oauth_token: 'tok',
+  };
+
+  it('signs with consumer secret & token secret (PLAINTEXT)', () => {
+    const header = h.oauthHeader(params, 'csecret', 'tsecret');
+    assert.ok(header.startsWith('OAuth '));
+    assert.ok(header.includes('oauth_signature="csecret%26tsecret"'));
+  });
+
+  it('leaves the token secret empty before there is one', () => {
+    assert.ok(h.oauthHeader(params, 'csecret').includes('oauth_signature="csecret%26"'));
+  });
+
+  it('encodes values such as the callback URL', () => {
+    const header = h.oauthHeader({ oauth_callback: 'https://x.chromiumapp.org/discogs' }, 's', '');
+    assert.ok(header.includes('oauth_callback="https%3A%2F%2Fx.chromiumapp.org%2Fdiscogs"'));
+  });
+
+  it('does not change the params it was given', () => {
+    h.oauthHeader(params, 's', 't');
+    assert.ok(!('oauth_signature' in params));
+  });
+});
+
+describe('parseFormEncoded()', () => {
+  it('reads a token response', () => {
+    const out = h.parseFormEncoded('oauth_token=abc&oauth_token_secret=x%2By&oauth_callback_confirmed=true');
+    assert.equal(out.oauth_token, 'abc');
+    assert.equal(out.oauth_token_secret, 'x+y');
+    assert.equal(out.oauth_callback_confirmed, 'true');
+  });
+
+  it('empty body gives an empty object', () => {
+    assert.deepEqual({ ...h.parseFormEncoded('') }, {});
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 35. IDENTITY / RATE-LIMIT HEADROOM
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseRateLimit()', () => {
+  const headers = (obj) => ({ get: (k) => (k in obj ? obj[k] : null) });
+
+  it('reads limit and remaining', () => {
+    const rl = h.parseRateLimit(headers({ 'X-Discogs-Ratelimit': '60', 'X-Discogs-Ratelimit-Remaining': '42' }));
+    assert.equal(rl.limit, 60);
+    assert.equal(rl.remaining, 42);
+  });
+
+  it('zero remaining is still a reading', () => {
+    assert.equal(h.parseRateLimit(headers({ 'X-Discogs-Ratelimit': '60', 'X-Discogs-Ratelimit-Remaining': '0' })).remaining, 0);
+  });
+
+  it('null when the headers are missing', () => {
+    assert.equal(h.parseRateLimit(headers({})), null);
+    assert.equal(h.parseRateLimit(headers({ 'X-Discogs-Ratelimit': '60' })), null);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 36. COLLECTION / WANTLIST
+// ═══════════════════════════════════════════════════════════════
+
+describe('libraryIndex()', () => {
+  it('collects release ids and distinct master ids', () => {
+    const idx = h.libraryIndex([
+      { id: 11, basic_information: { master_id: 100 } },
+      { id: 12, basic_information: { master_id: 100 } },
+      { id: 13, basic_information: { master_id: 0 } },
+    ]);
+    assert.deepEqual([...idx.releases], [11, 12, 13]);
+    assert.deepEqual([...idx.masters], [100]);
+  });
+
+  it('empty list gives empty index', () => {
+    const idx = h.libraryIndex([]);
+    assert.equal(idx.releases.length, 0);
+    assert.equal(idx.masters.length, 0);
+  });
+});
+
+describe('libraryStatus()', () => {
+  const idx = { releases: [11], masters: [100] };
+
+  it('"release" for the exact pressing', () => {
+    assert.equal(h.libraryStatus(idx, { releaseId: 11, masterId: 100 }), 'release');
+  });
+
+  it('"master" for another pressing of the same record', () => {
+    assert.equal(h.libraryStatus(idx, { releaseId: 99, masterId: 100 }), 'master');
+  });
+
+  it('null otherwise, or without an index', () => {
+    assert.equal(h.libraryStatus(idx, { releaseId: 99, masterId: null }), null);
+    assert.equal(h.libraryStatus(null, { releaseId: 11 }), null);
+  });
+});
+
+describe('annotateLibrary()', () => {
+  const lib = {
+    collection: { releases: [11], masters: [100] },
+    wants: { releases: [21], masters: [200] },
+  };
+
+  it('flags owned and wanted matches', () => {
+    const out = h.annotateLibrary([
+      { releaseId: 11, masterId: 100 },
+      { releaseId: 21, masterId: 200 },
+      { releaseId: 31, masterId: 300 },
+    ], lib);
+    assert.equal(out[0].inCollection, 'release');
+    assert.equal(out[0].inWantlist, null);
+    assert.equal(out[1].inCollection, null);
+    assert.equal(out[1].inWantlist, 'release');
+    assert.equal(out[2].inCollection, null);
+    assert.equal(out[2].inWantlist, null);
+  });
+
+  it('does not modify the cached matches', () => {
+    const m = { releaseId: 11, masterId: 100 };
+    h.annotateLibrary([m], lib);
+    assert.ok(!('inCollection' in m));
+  });
+});
+
+describe('addToLibraryIndex()', () => {
+  it('adds the release and its master once', () => {
+    const idx = { releases: [11], masters: [100] };
+    const out = h.addToLibraryIndex(idx, 12, 100);
+    assert.deepEqual([...out.releases], [11, 12]);
+    assert.deepEqual([...out.masters], [100]);
+    assert.deepEqual([...h.addToLibraryIndex(out, 12, 100).releases], [11, 12]);
+  });
+
+  it('leaves the original index alone', () => {
+    const idx = { releases: [11], masters: [] };
+    h.addToLibraryIndex(idx, 12, 200);
+    assert.deepEqual([...idx.releases], [11]);
+    assert.equal(idx.masters.length, 0);
+  });
+
+  it('starts an index when there was none', () => {
+    const out = h.addToLibraryIndex(undefined, 12, null);
+    assert.deepEqual([...out.releases], [12]);
+    assert.equal(out.masters.length, 0);
+  });
+
+  it('annotates as owned right after an add', () => {
+    const lib = { collection: h.addToLibraryIndex(null, 12, 100), wants: null };
+    const [m] = h.annotateLibrary([{ releaseId: 12, masterId: 100 }], lib);
+    assert.equal(m.inCollection, 'release');
+    assert.equal(m.inWantlist, null);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 37. MARKETPLACE STATS CROSS-CHECK
+// ═══════════════════════════════════════════════════════════════
+
+describe('reconcileStats()', () => {
+  it('keeps scraped figures that agree', () => {
+    const r = h.reconcileStats({ numForSale: 14, lowestPrice: 12.5 }, { numForSale: 15, lowestPrice: 12.0 });
+    assert.equal(r.numForSale, 14);
+    assert.equal(r.lowestPrice, 12.5);
+    assert.equal(r.drift.length, 0);
+  });
+
+  it('prefers the API when the scrape found nothing (markup change)', () => {
+    const r = h.reconcileStats({ numForSale: 0, lowestPrice: null }, { numForSale: 14, lowestPrice: 12 });
+    assert.equal(r.numForSale, 14);
+    assert.equal(r.lowestPrice, 12);
+    assert.deepEqual([...r.drift.map((d) => d.field)], ['numForSale', 'lowestPrice']);
+    assert.equal(r.drift[0].scraped, 0);
+    assert.equal(r.drift[1].scraped, null);
+  });
+
+  it('a page that failed to fetch takes the API figures without drift', () => {
+    const r = h.reconcileStats({ ...h.SCRAPE_FAILED }, { numForSale: 14, lowestPrice: 12 });
+    assert.equal(r.numForSale, 14);
+    assert.equal(r.lowestPrice, 12);
+    assert.equal(r.drift.length, 0);
+    const filtered = h.reconcileStats({ numForSale: 0, fetched: false }, { numForSale: 14, lowestPrice: null });
+    assert.equal(filtered.numForSale, 14);
+    assert.equal(filtered.drift.length, 0);
+  });
+
+  it('small counts may differ by 2', () => {
+    assert.equal(h.reconcileStats({ numForSale: 1 }, { numForSale: 3, lowestPrice: null }).drift.length, 0);
+    assert.equal(h.reconcileStats({ numForSale: 1 }, { numForSale: 4, lowestPrice: null }).drift.length, 1);
+  });
+
+  it('large counts may differ by 15%', () => {
+    assert.equal(h.reconcileStats({ numForSale: 90 }, { numForSale: 100, lowestPrice: null }).drift.length, 0);
+    assert.equal(h.reconcileStats({ numForSale: 80 }, { numForSale: 100, lowestPrice: null }).drift.length, 1);
+  });
+
+  it('flags a lowest price off by more than 10%', () => {
+    const r = h.reconcileStats({ numForSale: 10, lowestPrice: 30 }, { numForSale: 10, lowestPrice: 20 });
+    assert.equal(r.lowestPrice, 20);
+    assert.equal(r.drift[0].field, 'lowestPrice');
+  });
+
+  it('ignores the price when nothing is for sale', () => {
+    const r = h.reconcileStats({ numForSale: 0, lowestPrice: null }, { numForSale: 0, lowestPrice: 5 });
+    assert.equal(r.drift.length, 0);
+    assert.equal(r.lowestPrice, null);
+  });
+
+  it('no API answer leaves the scrape alone', () => {
+    const r = h.reconcileStats({ numForSale: 3, lowestPrice: 9 }, null);
+    assert.equal(r.numForSale, 3);
+    assert.equal(r.lowestPrice, 9);
+    assert.equal(r.drift.length, 0);
+  });
+});
+
+describe('addDriftEntry()', () => {
+  it('starts a log', () => {
+    const log = h.addDriftEntry(undefined, { releaseId: 1 });
+    assert.equal(log.total, 1);
+    assert.equal(log.recent[0].releaseId, 1);
+  });
+
+  it('keeps the newest entries first, capped', () => {
+    let log;
+    for (let i = 0; i < h.DRIFT_MAX_ENTRIES + 5; i++) log = h.addDriftEntry(log, { releaseId: i, fields: [] });
+    assert.equal(log.total, h.DRIFT_MAX_ENTRIES + 5);
+    assert.equal(log.recent.length, h.DRIFT_MAX_ENTRIES);
+    assert.equal(log.recent[0].releaseId, h.DRIFT_MAX_ENTRIES + 4);
+  });
+
+  it('the same drift again only refreshes its entry', () => {
+    const fields = [{ field: 'lowestPrice', scraped: 5, api: 9 }];
+    let log = h.addDriftEntry(undefined, { releaseId: 1, at: 100, fields });
+    log = h.addDriftEntry(log, { releaseId: 2, at: 200, fields });
+    log = h.addDriftEntry(log, { releaseId: 1, at: 300, fields: fields.map((f) => ({ ...f })) });
+    assert.equal(log.total, 2);
+    assert.equal(log.recent.length, 2);
+    assert.equal(log.recent[0].releaseId, 1);
+    assert.equal(log.recent[0].at, 300);
+  });
+
+  it('new drifted values on the same release count again', () => {
+    let log = h.addDriftEntry(undefined, { releaseId: 1, fields: [{ field: 'lowestPrice', scraped: 5, api: 9 }] });
+    log = h.addDriftEntry(log, { releaseId: 1, fields: [{ field: 'lowestPrice', scraped: 6, api: 9 }] });
+    assert.equal(log.total, 2);
+    assert.equal(log.recent.length, 2);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════════════
+// 38. COUNTRY / LABEL CHIPS (popup)
+// ═══════════════════════════════════════════════════════════════
+
+describe('chip filtering', () => {
+  const matches = [
+    { country: 'UK', label: 'Factory', lowestPrice: 20, medianPrice: 30, lowestGrade: 'VG', vgPlusPrice: 25, numForSale: 2 },
+    { country: 'US', label: 'Qwest', lowestPrice: 8, medianPrice: 12, lowestGrade: 'G+', vgPlusPrice: 15, numForSale: 4 },
+    { country: 'UK', label: 'Factory', lowestPrice: 12, medianPrice: 18, lowestGrade: 'NM', vgPlusPrice: null, numForSale: 1 },
+    { country: 'DE', label: 'ZYX', lowestPrice: null, numForSale: 0 },
+  ];
+  const pick = (country, label) => {
+    h.chipFilter.country.splice(0, Infinity, ...country);
+    h.chipFilter.label.splice(0, Infinity, ...label);
+  };
+  afterEach(() => pick([], []));
+
+  it('chipValues lists distinct values, most pressings first', () => {
+    assert.deepEqual([...h.chipValues(matches, 'country')], ['UK', 'DE', 'US']);
+    assert.deepEqual([...h.chipValues([{ label: null }], 'label')], []);
+  });
+
+  it('no chips picked: every match passes and the key is empty', () => {
+    assert.equal(matches.every(h.matchesChips), true);
+    assert.equal(h.chipKey(), '');
+  });
+
+  it('ORs values within a row and ANDs across rows', () => {
+    pick(['UK', 'US'], []);
+    assert.equal(matches.filter(h.matchesChips).length, 3);
+    pick(['UK', 'US'], ['Qwest']);
+    assert.equal(matches.filter(h.matchesChips).length, 1);
+  });
+
+  it('chipKey changes with the picked chips', () => {
+    pick(['UK'], []);
+    const uk = h.chipKey();
+    pick(['UK'], ['Factory']);
+    assert.notEqual(h.chipKey(), uk);
+    assert.notEqual(uk, '');
+  });
+
+  it('chipStats covers only the pressings given', () => {
+    pick(['UK'], []);
+    const s = h.chipStats(matches.filter(h.matchesChips));
+    assert.equal(s.lowestPrice, 12);
+    assert.equal(s.lowestGrade, 'NM');
+    assert.equal(s.medianPrice, 24);
+    assert.equal(s.vgPlusPrice, 25);
+  });
+
+  it('chipStats with nothing for sale', () => {
+    const s = h.chipStats([matches[3]]);
+    assert.equal(s.lowestPrice, null);
+    assert.equal(s.medianPrice, null);
+    assert.equal(s.vgPlusPrice, null);
+  });
+});
@@ -1,8 +1,9 @@
 /**
- * helpers.js — Extracts pure functions DIRECTLY from background.js and
- * popup.js at test time so the tests always run against the REAL code.
+ * helpers.js — Extracts pure functions DIRECTLY from background.js,
+ * popup.js and content.js at test time so the tests always run against
+ * the REAL code.
  *
- * No stale copies.  If you change background.js or popup.js, the tests
+ * No stale copies.  If you change background.js, popup.js or content.js, the tests
  * automatically pick up the new version on the next run.
  *
  * How it works:
@@ -23,6 +24,7 @@ const ROOT = path.resolve(__dirname, '..');
 
 const bgSource = fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8');
 const popupSource = fs.readFileSync(path.join(ROOT, 'popup.js'), 'utf8');
+const contentSource = fs.readFileSync(path.join(ROOT, 'content.js'), 'utf8');
 
 /* ── Extract a function body from source by name ─────────────── */
 
@@ -65,6 +67,15 @@ function extractVar(src, name) {
   throw new Error('Unmatched braces for var "' + name + '"');
 }
 
+/**
+ * Pull a single-line var declaration (number, string, array literal).
+ */
+function extractConst(src, name) {
+  var m = new RegExp('(?:var|let|const)\\s+' + name + '\\s*=[^;]*;').exec(src);
+  if (!m) throw new Error('Could not find var "' + name + '" in source');
+  return m[0];
+}
+
 /* ── Build sandbox source from real files ────────────────────── */
 
 var code = 'var DEBUG = false;\nvar cachedRates = null;\n\n';
@@ -72,30 +83,68 @@ var code = 'var DEBUG = false;\nvar cachedRates = null;\n\n';
 // background.js — pure functions (no Chrome APIs, no fetch)
 var bgFuncs = [
   'normalize', 'fuzzyNorm', 'wordsContain', 'parseArtistTrack', 'tracklistContains',
-  'parseDiscogsUrl', 'extractArtistNames', 'makeSellUrl', 'isVGPlusOrBetter',
-  'isVinylFormat', 'computeMedian', 'parseFilteredPage', 'convertToUSD',
+  'parseDiscogsUrl', 'extractArtistNames', 'makeSellUrl', 'gradeRank', 'meetsGrade',
+  'isVinylFormat', 'computeMedian', 'parseFilteredPage', 'shipsFromMatches', 'parseShipping', 'convertToUSD', 'suggestionsToUSD',
+  'oauthEncode', 'oauthHeader', 'parseFormEncoded', 'parseRateLimit',
+  'libraryIndex', 'libraryStatus', 'annotateLibrary', 'addToLibraryIndex',
+  'reconcileStats', 'addDriftEntry',
+  'parseDatabaseSearchResults', 'extractDiscogsUrls', 'recordProviderOutcome',
+  'orderProviders', 'normalizeArtist', 'collectArtistNames', 'artistMatchScore',
+  'trackMatchScore', 'computeConfidence', 'formatSummary', 'tagMatch',
+  'normalizeCatno', 'normalizeLabel', 'releaseHintScore', 'parseCatalogHints', 'catnoLooksWrong',
+  'filterCatnoResults', 'releaseToMatch', 'albumMatchScore', 'searchCacheKey',
+  'parseOverrideUrl', 'summarizeSearchResults', 'overrideCacheKey',
+  'slimMatch', 'pruneVideoMatches', 'parseVersionQualifier', 'parseTrackVersion',
+  'trackRemixers', 'versionMatchScore', 'pressingCarriesVersion', 'scriptsDiffer', 'titleVariants',
+  'splitNames', 'parseArtistCredits', 'splitCredits', 'parseSellListReleaseIds',
+  'selectVersions', 'versionsSettled', 'classifyFormat', 'formatFilterKey', 'matchesFormatFilter',
+  'resultCacheKey', 'classifyPressing', 'summarizePressings',
 ];
 for (var fn of bgFuncs) {
   code += extractFunction(bgSource, fn) + '\n\n';
 }
 
 // background.js — object constants
-for (var vn of ['GRADE_ABBR', 'GRADE_RANK', 'FALLBACK_RATES', 'SYMBOL_TO_CODE']) {
+for (var vn of ['GRADE_ABBR', 'GRADE_RANK', 'FALLBACK_RATES', 'SYMBOL_TO_CODE', 'DISCOVERY_PROVIDERS',
+  'VERSION_KINDS', 'LATIN_FOLD', 'FORMAT_TAGS', 'DEFAULT_FORMAT_FILTER']) {
   code += extractVar(bgSource, vn) + '\n\n';
 }
 
+// background.js — scalar/array constants
+for (var cn of ['DEFAULT_PROVIDER_ORDER', 'PROVIDER_DEMOTE_AFTER', 'PROVIDER_DEMOTE_MS', 'LOW_CONFIDENCE',
+  'CATNO_STOPWORDS', 'CATNO_YEAR', 'MATCH_CACHE_TTL', 'MATCH_CACHE_MAX', 'MATCH_FIELDS',
+  'VERSION_WORDS', 'ORIGINAL_VERSION', 'CJK_RE', 'FEAT_RE', 'FEAT_PAREN_RE', 'COLLAB_RE', 'COLLAB_COMMA_RE',
+  'PERFORMER_ROLES', 'DRIFT_MAX_ENTRIES', 'DRIFT_COUNT_TOLERANCE', 'DRIFT_PRICE_TOLERANCE', 'SCRAPE_FAILED']) {
+  code += extractConst(bgSource, cn) + '\n';
+}
+code += '\n';
+
 // background.js — buildFilteredUrl (rename to _bg to avoid collision with popup version)
 code += extractFunction(bgSource, 'buildFilteredUrl')
   .replace('function buildFilteredUrl(', 'function buildFilteredUrl_bg(') + '\n\n';
 
 // popup.js — pure functions (skip ones that touch the DOM)
 code += extractFunction(popupSource, 'cleanTitle') + '\n\n';
+code += "var displayCurrency = { code: 'USD', rate: 1 };\n";
 code += extractFunction(popupSource, 'fmtPrice') + '\n\n';
 
+// popup.js — country / label chips
+code += extractConst(popupSource, 'chipFilter') + '\n\n';
+for (var pf of ['matchesChips', 'chipKey', 'chipValues', 'chipStats']) {
+  code += extractFunction(popupSource, pf) + '\n\n';
+}
+
 // popup.js — buildFilteredUrl (rename to _popup)
 code += extractFunction(popupSource, 'buildFilteredUrl')
   .replace('function buildFilteredUrl(', 'function buildFilteredUrl_popup(') + '\n\n';
 
+// content.js — pure functions (skip ones that touch the DOM)
+for (var cf of ['parseDescriptionHints', 'parseChapters', 'detectVideoMode', 'chapterAt']) {
+  code += extractFunction(contentSource, cf) + '\n\n';
+}
+code += extractConst(contentSource, 'MIX_RE') + '\n\n';
+code += extractConst(contentSource, 'ALBUM_MIN_SPAN') + '\n\n';
+
 
 
 /* ── parseSellPageHtml — compatibility wrapper ───────────────
@@ -118,11 +167,29 @@ code += `
 module.exports = {
   normalize, fuzzyNorm, parseArtistTrack, tracklistContains,
   parseDiscogsUrl, extractArtistNames, makeSellUrl,
-  GRADE_ABBR, GRADE_RANK, isVGPlusOrBetter, isVinylFormat, computeMedian,
-  parseFilteredPage, parseSellPageHtml, convertToUSD,
+  GRADE_ABBR, GRADE_RANK, gradeRank, meetsGrade, shipsFromMatches, parseShipping, isVinylFormat, computeMedian,
+  parseFilteredPage, parseSellPageHtml, convertToUSD, suggestionsToUSD,
+  oauthEncode, oauthHeader, parseFormEncoded, parseRateLimit,
+  libraryIndex, libraryStatus, annotateLibrary, addToLibraryIndex,
+  reconcileStats, addDriftEntry, DRIFT_MAX_ENTRIES, SCRAPE_FAILED,
   FALLBACK_RATES, SYMBOL_TO_CODE,
   buildFilteredUrl_bg, buildFilteredUrl_popup,
   cleanTitle, fmtPrice,
+  chipFilter, matchesChips, chipKey, chipValues, chipStats,
+  parseDatabaseSearchResults, extractDiscogsUrls, recordProviderOutcome,
+  orderProviders, DISCOVERY_PROVIDERS, DEFAULT_PROVIDER_ORDER,
+  PROVIDER_DEMOTE_AFTER, PROVIDER_DEMOTE_MS,
+  normalizeArtist, collectArtistNames, artistMatchScore,
+  trackMatchScore, computeConfidence, formatSummary, tagMatch, LOW_CONFIDENCE,
+  normalizeCatno, normalizeLabel, releaseHintScore, parseDescriptionHints,
+  parseCatalogHints, filterCatnoResults, releaseToMatch,
+  albumMatchScore, searchCacheKey, parseChapters, detectVideoMode, chapterAt,
+  parseOverrideUrl, summarizeSearchResults, overrideCacheKey,
+  slimMatch, pruneVideoMatches, MATCH_CACHE_TTL, MATCH_CACHE_MAX,
+  parseTrackVersion, versionMatchScore, pressingCarriesVersion, scriptsDiffer, titleVariants,
+  parseArtistCredits, parseSellListReleaseIds, selectVersions, versionsSettled,
+  classifyFormat, formatFilterKey, matchesFormatFilter, resultCacheKey, DEFAULT_FORMAT_FILTER,
+  classifyPressing, summarizePressings,
 };
 `;
 
@@ -141,6 +208,9 @@ var sandbox = {
   RegExp: RegExp,
   decodeURIComponent: decodeURIComponent,
   encodeURIComponent: encodeURIComponent,
+  URLSearchParams: URLSearchParams,
+  atob: atob,
+  Set: Set,
 };
 vm.createContext(sandbox);
 
@@ -173,7 +243,7 @@ var filteredFn = extractFunction(bgSource, 'scrapeFilteredListings');
 var parseFiltFn = extractFunction(bgSource, 'parseFilteredPage');
 var filteredSrc = filteredFn + '\n' + parseFiltFn;
 var filteredChecks = [
-  { pattern: 'isVGPlusOrBetter',      desc: 'direct condition check per listing' },
+  { pattern: 'meetsGrade',            desc: 'direct condition check per listing' },
   { pattern: /Media[\s\S]*Condition/,  desc: 'splits HTML at Media Condition markers' },
   { pattern: 'Ships',               desc: 'parses Ships From per listing' },
   { pattern: 'medianPrice',            desc: 'returns medianPrice from matched prices' },